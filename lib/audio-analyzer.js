@@ -2,15 +2,29 @@
  * Audio Analyzer - Offline audio analysis using Web Audio API
  * 
  * Analyzes audio files to extract:
- * - Beat detection (kicks, snares, hihats)
+ * - Beat detection (kicks, snares, hihats) with per-hit velocity
  * - Frequency bands (sub, bass, mid, high)
+ * - Log-spaced spectrogram for custom frequency ranges
+ * - Chroma (12 pitch classes), musical key and chord changes
+ * - Melody pitch contour (YIN over the mid band)
+ * - Silent regions, fade-ins/outs and likely track boundaries (for sets and albums)
  * - Energy levels (RMS)
+ * - Loudness (BS.1770 K-weighted integrated and short-term LUFS)
+ * - Stereo balance and width (optional per-channel bands)
+ * - Spectral descriptors (centroid, flatness, rolloff, onset flux)
  * - BPM estimation
+ * - Tempo map for songs with tempo changes
+ * - Beat grid (regular beats, downbeats, time signature)
+ * - Song sections (intro, verse, build, drop, breakdown, outro)
  * 
  * Uses optimized Cooley-Tukey FFT for fast processing.
  */
 
-// Analysis constants
+import { SPECTROGRAM_BANDS, getBandBins, encodeSpectrogram } from './spectrogram.js';
+import { TRACK_SCHEMA_VERSION } from './track-schema.js';
+import { buildWaveformPyramid } from './waveform-pyramid.js';
+
+// Analysis defaults (each can be overridden through the options argument)
 const SAMPLE_RATE = 30; // Samples per second for frequency/energy data
 const FFT_SIZE = 2048;
 
@@ -22,6 +36,82 @@ const BANDS = {
   high: [2000, 20000]
 };
 
+// Onset detection ranges (Hz) and peak-picking thresholds per drum type
+const DRUM_RANGES = {
+  kicks: [40, 120],
+  snares: [120, 500],
+  hihats: [5000, 15000]
+};
+const PEAK_THRESHOLDS = {
+  kicks: 0.15,
+  snares: 0.12,
+  hihats: 0.08
+};
+
+// Onset detection framing and peak picking (shared with StreamingAnalyzer)
+export const ONSET_FRAME_SIZE = 1024;
+export const ONSET_HOP_SIZE = 512;
+export const PEAK_WINDOW = 20; // Flux frames either side of a peak in its local mean
+
+// How bands and energy are scaled to 0-1 (see normalizeLevels)
+export const NORMALIZATION_MODES = ['peak', 'percentile', 'loudness'];
+
+// Defaults for the options argument of analyzeAudio / analyzeChannelData
+// The resolved options are recorded in the output as analysisOptions.
+const DEFAULT_OPTIONS = {
+  sampleRate: SAMPLE_RATE, // Frames per second of the frequency, energy and descriptor curves
+  fftSize: FFT_SIZE, // Power of two
+  bands: BANDS, // Merged over the defaults, so the four standard bands always exist
+  drumRanges: DRUM_RANGES, // Merged over the defaults
+  peakThresholds: PEAK_THRESHOLDS, // Merged over the defaults
+  stereo: false, // Per-channel bands plus pan/width (ignored for mono audio) - roughly doubles the analysis time
+  normalization: 'peak', // 'peak' | 'percentile' | 'loudness' - how bands and energy map to 0-1
+  normalizationPercentile: 0.98, // Level mapped to 1 in 'percentile' and 'loudness' modes
+  referenceLoudness: -14, // LUFS that reaches full scale in 'loudness' mode
+  pitchRange: [48, 84], // MIDI notes (C3-C6) searched by the pitch tracker and mapped to 0-1
+  silenceThreshold: -60 // dBFS below which audio counts as silent
+};
+
+// Pitch tracking (YIN)
+const PITCH_ANALYSIS_RATE = 8000; // Mid band is decimated to roughly this rate
+const PITCH_WINDOW = 0.03; // Integration window (s)
+const YIN_THRESHOLD = 0.15; // Normalised difference below which a frame counts as voiced
+
+// Silence, fades and track boundaries
+const SILENCE_MIN_DURATION = 0.5; // Shortest silent region (s)
+const BOUNDARY_GAP = 1; // Interior silence at least this long separates tracks (s)
+const FADE_MIN_DURATION = 1.5; // Shortest fade (s)
+const FADE_DEPTH = 12; // dB a fade must start/end below the region's typical level
+const DIP_DEPTH = 12; // dB a level dip must fall below both neighbourhoods to count as a boundary
+const BOUNDARY_MERGE = 4; // Boundaries closer than this are merged (s)
+
+// Loudness measurement (ITU-R BS.1770)
+const LOUDNESS_BLOCK = 0.4; // Gating block length (s)
+const LOUDNESS_SHORT_TERM = 3; // Short-term window (s)
+const LOUDNESS_RATE = 10; // Short-term loudness values per second
+const LOUDNESS_FLOOR = -70; // Absolute gate and floor (LUFS)
+
+// Peak height (per drum type) that maps to velocity 1 - louder hits are clipped
+const VELOCITY_PERCENTILE = 0.95;
+
+// Range (Hz) that centroid and rolloff are mapped to 0-1 over, on a log scale
+const DESCRIPTOR_RANGE = [20, 20000];
+const ROLLOFF_FRACTION = 0.85;
+
+// Chroma range (Hz) - below this the FFT bins are wider than a semitone
+const CHROMA_RANGE = [80, 5000];
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const CHORD_MIN_LEVEL = -45; // dBFS RMS below which a beat's chroma is mostly noise (no chord changes)
+
+// Krumhansl-Kessler key profiles, starting on the tonic
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+// Roles a detected section can be labelled with
+export const SECTION_LABELS = ['intro', 'verse', 'build', 'drop', 'breakdown', 'outro'];
+
 // Pre-computed twiddle factors for FFT (computed once per size)
 const twiddleCache = new Map();
 
@@ -116,7 +206,7 @@ function reverseBits(n, bits) {
  * Compute FFT magnitudes from real data
  * Returns magnitude array (first N/2 bins)
  */
-function computeFFT(data) {
+export function computeFFT(data) {
   const N = data.length;
   const real = new Float32Array(N);
   const imag = new Float32Array(N);
@@ -138,37 +228,111 @@ function computeFFT(data) {
 
 /**
  * Main analysis function - processes entire audio buffer
+ * Runs on the calling thread; use analyzeAudioInWorker from the UI thread.
  * @param {AudioBuffer} audioBuffer - Decoded audio data
  * @param {Function} onProgress - Optional progress callback (0-1)
+ * @param {Object} options - Analysis options (see DEFAULT_OPTIONS)
+ * @returns {Object} Complete analysis results
+ */
+export async function analyzeAudio(audioBuffer, onProgress = null, options = {}) {
+  const settings = resolveOptions(options);
+  const channelData = settings.stereo && audioBuffer.numberOfChannels > 1
+    ? [audioBuffer.getChannelData(0), audioBuffer.getChannelData(1)]
+    : getMono(audioBuffer);
+  return analyzeChannelData(channelData, audioBuffer.sampleRate, onProgress, settings);
+}
+
+/**
+ * Analyze raw samples (synchronous)
+ * Entry point for workers, which receive channel data rather than an AudioBuffer.
+ * @param {Float32Array|Float32Array[]} channelData - Mono samples, or [left, right]
+ * @param {number} sampleRate - Sample rate of channelData
+ * @param {Function} onProgress - Optional progress callback (0-1)
+ * @param {Object} options - Analysis options (see DEFAULT_OPTIONS)
  * @returns {Object} Complete analysis results
+ * @throws {Error} If the audio is shorter than one analysis frame (about 0.1s)
  */
-export async function analyzeAudio(audioBuffer, onProgress = null) {
-  const duration = audioBuffer.duration;
-  const sampleRate = audioBuffer.sampleRate;
+export function analyzeChannelData(channelData, sampleRate, onProgress = null, options = {}) {
+  const settings = resolveOptions(options);
+  const frameRate = settings.sampleRate;
+  const stereoChannels = Array.isArray(channelData) && channelData.length > 1 ? channelData : null;
+  if (Array.isArray(channelData)) {
+    channelData = stereoChannels ? mixToMono(stereoChannels[0], stereoChannels[1]) : channelData[0];
+  }
   
-  // Get mono channel data
-  const channelData = getMono(audioBuffer);
+  // Every curve needs at least one whole frame (and the loudness one a whole hop)
+  const minSamples = Math.max(settings.fftSize, Math.ceil(sampleRate / frameRate), Math.ceil(sampleRate / LOUDNESS_RATE));
+  if (!(channelData?.length >= minSamples)) {
+    throw new Error(`Audio is too short to analyse: ${channelData?.length || 0} samples, at least ${minSamples} needed at ${sampleRate}Hz`);
+  }
+  const duration = channelData.length / sampleRate;
   
   // Pre-compute twiddle factors
-  getTwiddleFactors(FFT_SIZE);
+  getTwiddleFactors(settings.fftSize);
   getTwiddleFactors(1024);
   
   // Run analyses with progress updates
   if (onProgress) onProgress(0.1);
   
-  const [frequencyData, energyData] = analyzeFrequencyAndEnergy(channelData, sampleRate, (p) => {
-    if (onProgress) onProgress(0.1 + p * 0.4);
+  const withStereo = settings.stereo && stereoChannels !== null;
+  const frequencyShare = withStereo ? 0.3 : 0.4;
+  
+  const [frequencyData, energyData, chromaFrames, spectralData, spectrogram] = analyzeFrequencyAndEnergy(channelData, sampleRate, settings, (p) => {
+    if (onProgress) onProgress(0.1 + p * frequencyShare);
   });
   
+  // Silence, fades and boundaries work on the raw level, before it is normalised
+  const levels = detectLevelEvents(energyData, frameRate, duration, settings.silenceThreshold);
+  
+  // So do sections and chord changes - 'loudness' mode scales a quiet track down,
+  // which must not change where its sections or chords are found
+  const rawEnergy = energyData.slice();
+  const relativeFrequency = {};
+  for (const [band, curve] of Object.entries(frequencyData)) {
+    relativeFrequency[band] = curve.slice();
+    normalizeArray(relativeFrequency[band]);
+  }
+  const relativeEnergy = energyData.slice();
+  normalizeArray(relativeEnergy);
+  
+  // Loudness on the original channels, then map bands and energy to 0-1
+  const loudness = measureLoudness(stereoChannels || [channelData], sampleRate);
+  const normalization = normalizeLevels(frequencyData, energyData, settings, loudness.integrated);
+  
+  const stereoData = withStereo
+    ? analyzeStereo(stereoChannels[0], stereoChannels[1], sampleRate, settings, (p) => {
+      if (onProgress) onProgress(0.4 + p * 0.1);
+    })
+    : null;
+  
   if (onProgress) onProgress(0.5);
   
-  const beats = detectBeats(channelData, sampleRate, (p) => {
-    if (onProgress) onProgress(0.5 + p * 0.4);
+  const [beats, onsetFlux, beatVelocities] = detectBeats(channelData, sampleRate, settings, (p) => {
+    if (onProgress) onProgress(0.5 + p * 0.3);
+  });
+  
+  if (onProgress) onProgress(0.8);
+  
+  const pitch = trackPitch(channelData, sampleRate, energyData.length, settings, (p) => {
+    if (onProgress) onProgress(0.8 + p * 0.1);
   });
   
   if (onProgress) onProgress(0.9);
   
-  const bpm = estimateBPM(beats.all, duration);
+  let beatGrid = computeBeatGrid(onsetFlux, estimateBPM(beats.all, duration), duration);
+  const bpm = Math.round(beatGrid.bpm);
+  
+  // Refit the grid segment by segment when the tempo changes
+  const tempoMap = estimateTempoMap(onsetFlux, beats.all, beatGrid.bpm, duration);
+  if (tempoMap.length > 1) {
+    beatGrid = computeBeatGrid(onsetFlux, beatGrid.bpm, duration, tempoMap);
+  }
+  
+  spectralData.flux = resampleOnsetFlux(onsetFlux, energyData.length, frameRate);
+  
+  const sections = detectSections(relativeFrequency, relativeEnergy, beatGrid, duration, frameRate);
+  const key = estimateKey(chromaFrames, energyData);
+  const chordChanges = detectChordChanges(chromaFrames, rawEnergy, beatGrid, frameRate);
   
   if (onProgress) onProgress(1.0);
   
@@ -176,15 +340,160 @@ export async function analyzeAudio(audioBuffer, onProgress = null) {
     name: '',
     duration,
     bpm,
-    analysisVersion: 1,
+    analysisVersion: TRACK_SCHEMA_VERSION,
+    analysisOptions: settings,
     beats,
+    beatVelocities,
+    tempoMap,
+    beatGrid,
+    sections,
     frequency: {
-      sampleRate: SAMPLE_RATE,
+      sampleRate: frameRate,
       ...frequencyData
     },
     energy: energyData,
-    automations: {}
+    loudness,
+    normalization,
+    stereo: stereoData && {
+      sampleRate: frameRate,
+      ...stereoData
+    },
+    spectrogram: {
+      sampleRate: frameRate,
+      ...spectrogram
+    },
+    spectral: {
+      sampleRate: frameRate,
+      ...spectralData
+    },
+    chroma: {
+      sampleRate: frameRate,
+      frames: chromaFrames
+    },
+    key,
+    chordChanges,
+    pitch: {
+      sampleRate: frameRate,
+      ...pitch
+    },
+    silence: levels.silence,
+    fades: levels.fades,
+    boundaries: levels.boundaries,
+    signalTracks: []
+  };
+}
+
+/**
+ * Run analyzeAudio in a Web Worker so the main thread stays responsive
+ * The channel data (mono, or left/right for stereo analysis) is transferred to the worker.
+ * @param {AudioBuffer} audioBuffer - Decoded audio data
+ * @param {Object} params
+ * @param {Function} params.onProgress - Optional progress callback (0-1)
+ * @param {AbortSignal} params.signal - Optional signal to cancel the analysis
+ * @param {Object} params.options - Analysis options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Complete analysis results (rejects with AbortError on cancel)
+ */
+export function analyzeAudioInWorker(audioBuffer, { onProgress = null, signal = null, options = {} } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  
+  let settings;
+  try {
+    settings = resolveOptions(options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  
+  // getChannelData returns the AudioBuffer's own arrays - copy them so the transfer doesn't detach them
+  let channelData;
+  let transfer;
+  if (settings.stereo && audioBuffer.numberOfChannels > 1) {
+    channelData = [audioBuffer.getChannelData(0).slice(), audioBuffer.getChannelData(1).slice()];
+    transfer = channelData.map(channel => channel.buffer);
+  } else {
+    channelData = getMono(audioBuffer);
+    if (audioBuffer.numberOfChannels === 1) {
+      channelData = channelData.slice();
+    }
+    transfer = [channelData.buffer];
+  }
+  
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./audio-analyzer.worker.js', import.meta.url), { type: 'module' });
+    
+    const cleanup = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason);
+    };
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+      } else if (message.type === 'result') {
+        cleanup();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        cleanup();
+        reject(new Error(message.message));
+      }
+    };
+    
+    worker.onerror = (e) => {
+      cleanup();
+      reject(new Error(e.message || 'Analysis worker failed'));
+    };
+    
+    worker.postMessage({
+      channelData,
+      sampleRate: audioBuffer.sampleRate,
+      options: settings
+    }, transfer);
+  });
+}
+
+/**
+ * Merge analysis options over DEFAULT_OPTIONS
+ * Band, drum range and threshold tables are merged key by key, so an override
+ * only needs the entries it changes.
+ * @returns {Object} Complete, JSON-safe options
+ */
+export function resolveOptions(options = {}) {
+  const settings = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    bands: { ...DEFAULT_OPTIONS.bands, ...options.bands },
+    drumRanges: { ...DEFAULT_OPTIONS.drumRanges, ...options.drumRanges },
+    peakThresholds: { ...DEFAULT_OPTIONS.peakThresholds, ...options.peakThresholds }
   };
+  
+  const { fftSize, sampleRate, normalization, normalizationPercentile } = settings;
+  if (!NORMALIZATION_MODES.includes(normalization)) {
+    throw new Error(`normalization must be one of ${NORMALIZATION_MODES.join(', ')}, got ${normalization}`);
+  }
+  if (!(normalizationPercentile > 0 && normalizationPercentile <= 1)) {
+    throw new Error(`normalizationPercentile must be between 0 and 1, got ${normalizationPercentile}`);
+  }
+  if (!Number.isInteger(fftSize) || fftSize < 256 || (fftSize & (fftSize - 1)) !== 0) {
+    throw new Error(`fftSize must be a power of two of at least 256, got ${fftSize}`);
+  }
+  if (!(sampleRate > 0 && sampleRate <= 200)) {
+    throw new Error(`sampleRate must be between 0 and 200 frames per second, got ${sampleRate}`);
+  }
+  for (const [name, range] of Object.entries({ ...settings.bands, ...settings.drumRanges })) {
+    if (!Array.isArray(range) || !(range[0] >= 0 && range[1] > range[0])) {
+      throw new Error(`Invalid frequency range for ${name}: ${JSON.stringify(range)}`);
+    }
+  }
+  return settings;
 }
 
 /**
@@ -195,8 +504,13 @@ function getMono(audioBuffer) {
     return audioBuffer.getChannelData(0);
   }
   
-  const left = audioBuffer.getChannelData(0);
-  const right = audioBuffer.getChannelData(1);
+  return mixToMono(audioBuffer.getChannelData(0), audioBuffer.getChannelData(1));
+}
+
+/**
+ * Average two channels into a new mono Float32Array
+ */
+function mixToMono(left, right) {
   const mono = new Float32Array(left.length);
   
   for (let i = 0; i < left.length; i++) {
@@ -207,37 +521,129 @@ function getMono(audioBuffer) {
 }
 
 /**
- * Analyze frequency bands and energy over time
+ * Per-channel band energies plus pan and width over time
+ * Both channels share one normalisation per band so their balance is preserved.
+ * Pan is the right channel's share of the RMS (0 = left, 0.5 = centre, 1 = right);
+ * width is side RMS over mid RMS, clamped to 0-1 (0 = mono).
+ * @returns {Object} { left: {sub, bass, mid, high}, right: {...}, pan, width }
+ */
+function analyzeStereo(left, right, sampleRate, settings, onProgress = null) {
+  const { fftSize } = settings;
+  const numSamples = Math.floor(left.length / sampleRate * settings.sampleRate);
+  const samplesPerFrame = Math.floor(left.length / numSamples);
+  const bandBins = getBandBinRanges(sampleRate, fftSize, settings.bands);
+  const window = createHannWindow(fftSize);
+  const frameData = new Float32Array(fftSize);
+  
+  const channels = [left, right];
+  const bands = channels.map(() => {
+    const data = {};
+    for (const band of Object.keys(settings.bands)) data[band] = new Array(numSamples);
+    return data;
+  });
+  const pan = new Array(numSamples);
+  const width = new Array(numSamples);
+  
+  for (let frame = 0; frame < numSamples; frame++) {
+    const startSample = frame * samplesPerFrame;
+    const copyLen = Math.min(fftSize, left.length - startSample);
+    
+    channels.forEach((channel, c) => {
+      frameData.fill(0);
+      for (let i = 0; i < copyLen; i++) {
+        frameData[i] = channel[startSample + i] * window[i];
+      }
+      const magnitudes = computeFFT(frameData);
+      
+      for (const [band, { start, end }] of Object.entries(bandBins)) {
+        let sum = 0;
+        for (let bin = start; bin <= end; bin++) {
+          sum += magnitudes[bin] * magnitudes[bin];
+        }
+        bands[c][band][frame] = Math.sqrt(sum / (end - start + 1));
+      }
+    });
+    
+    // Balance and width from the raw samples
+    let leftPower = 0, rightPower = 0, midPower = 0, sidePower = 0;
+    for (let i = startSample; i < startSample + copyLen; i++) {
+      const l = left[i];
+      const r = right[i];
+      leftPower += l * l;
+      rightPower += r * r;
+      midPower += (l + r) * (l + r);
+      sidePower += (l - r) * (l - r);
+    }
+    const leftRms = Math.sqrt(leftPower);
+    const rightRms = Math.sqrt(rightPower);
+    pan[frame] = leftRms + rightRms > 1e-9 ? round3(rightRms / (leftRms + rightRms)) : 0.5;
+    width[frame] = midPower > 1e-12 ? round3(Math.min(1, Math.sqrt(sidePower / midPower))) : 0;
+    
+    if (onProgress && frame % 100 === 0) {
+      onProgress(frame / numSamples);
+    }
+  }
+  
+  // Shared normalisation per band
+  for (const band of Object.keys(settings.bands)) {
+    let max = 0;
+    for (const data of bands) {
+      for (const v of data[band]) if (v > max) max = v;
+    }
+    for (const data of bands) {
+      data[band] = data[band].map(v => max > 0 ? round3(v / max) : 0);
+    }
+  }
+  
+  return { left: bands[0], right: bands[1], pan, width };
+}
+
+/**
+ * Analyze frequency bands, energy, chroma and spectral shape over time
+ * @returns {Array} [frequency, energy, chroma, spectral, spectrogram] - bands and energy are
+ *   raw (unnormalised) levels; chroma frames are
+ *   12 values, max-normalised per frame; spectral holds centroid, flatness and rolloff
+ *   curves (0-1); spectrogram is the encoded log-band spectrogram
  */
-function analyzeFrequencyAndEnergy(channelData, sampleRate, onProgress = null) {
+function analyzeFrequencyAndEnergy(channelData, sampleRate, settings, onProgress = null) {
   const duration = channelData.length / sampleRate;
-  const numSamples = Math.floor(duration * SAMPLE_RATE);
+  const numSamples = Math.floor(duration * settings.sampleRate);
   const samplesPerFrame = Math.floor(channelData.length / numSamples);
   
-  const frequency = {
-    sub: new Array(numSamples),
-    bass: new Array(numSamples),
-    mid: new Array(numSamples),
-    high: new Array(numSamples)
-  };
+  const frequency = {};
+  for (const band of Object.keys(settings.bands)) {
+    frequency[band] = new Array(numSamples);
+  }
   const energy = new Array(numSamples);
+  const chroma = new Array(numSamples);
+  const spectral = {
+    centroid: new Array(numSamples),
+    flatness: new Array(numSamples),
+    rolloff: new Array(numSamples)
+  };
   
-  const fftSize = FFT_SIZE;
+  const fftSize = settings.fftSize;
   const binCount = fftSize / 2;
   const binFrequency = sampleRate / fftSize;
   
   // Calculate bin ranges for each band
-  const bandBins = {};
-  for (const [band, [low, high]] of Object.entries(BANDS)) {
-    bandBins[band] = {
-      start: Math.floor(low / binFrequency),
-      end: Math.min(Math.ceil(high / binFrequency), binCount - 1)
-    };
+  const bandBins = getBandBinRanges(sampleRate, fftSize, settings.bands);
+  
+  // Log-spaced spectrogram bands (mean bin power per band, frame-major)
+  const spectrogramBins = getBandBins(sampleRate, fftSize);
+  const spectrogramPower = new Float32Array(numSamples * SPECTROGRAM_BANDS);
+  
+  // Pitch class of each bin in the chroma range (-1 outside it)
+  const binPitchClass = new Int8Array(binCount).fill(-1);
+  for (let bin = Math.ceil(CHROMA_RANGE[0] / binFrequency); bin <= Math.min(CHROMA_RANGE[1] / binFrequency, binCount - 1); bin++) {
+    const midi = Math.round(12 * Math.log2(bin * binFrequency / 440) + 69);
+    binPitchClass[bin] = ((midi % 12) + 12) % 12;
   }
   
   // Reusable buffers
   const frameData = new Float32Array(fftSize);
   const window = createHannWindow(fftSize);
+  const pitchClassEnergy = new Float32Array(12);
   
   // Process each frame
   for (let frame = 0; frame < numSamples; frame++) {
@@ -259,9 +665,35 @@ function analyzeFrequencyAndEnergy(channelData, sampleRate, onProgress = null) {
       for (let bin = start; bin <= end; bin++) {
         sum += magnitudes[bin] * magnitudes[bin];
       }
-      const avgEnergy = Math.sqrt(sum / (end - start + 1));
-      frequency[band][frame] = Math.min(1, avgEnergy * 4);
+      frequency[band][frame] = Math.sqrt(sum / (end - start + 1));
+    }
+    
+    // Spectrogram bands
+    for (let b = 0; b < SPECTROGRAM_BANDS; b++) {
+      const { start, end } = spectrogramBins[b];
+      if (end <= start) continue;
+      let sum = 0;
+      for (let bin = start; bin < end; bin++) {
+        sum += magnitudes[bin] * magnitudes[bin];
+      }
+      spectrogramPower[frame * SPECTROGRAM_BANDS + b] = sum / (end - start);
+    }
+    
+    // Fold the spectrum into 12 pitch classes
+    pitchClassEnergy.fill(0);
+    for (let bin = 0; bin < binCount; bin++) {
+      if (binPitchClass[bin] >= 0) {
+        pitchClassEnergy[binPitchClass[bin]] += magnitudes[bin] * magnitudes[bin];
+      }
     }
+    const chromaMax = Math.max(...pitchClassEnergy);
+    chroma[frame] = Array.from(pitchClassEnergy, v => chromaMax > 1e-9 ? Math.round(v / chromaMax * 100) / 100 : 0);
+    
+    // Spectral shape (skipping the DC bin)
+    const shape = spectralShape(magnitudes, binFrequency);
+    spectral.centroid[frame] = shape.centroid;
+    spectral.flatness[frame] = shape.flatness;
+    spectral.rolloff[frame] = shape.rolloff;
     
     // Calculate RMS energy (from original samples, not windowed)
     let rms = 0;
@@ -269,7 +701,7 @@ function analyzeFrequencyAndEnergy(channelData, sampleRate, onProgress = null) {
       const sample = channelData[startSample + i];
       rms += sample * sample;
     }
-    energy[frame] = Math.min(1, Math.sqrt(rms / copyLen) * 3);
+    energy[frame] = Math.sqrt(rms / copyLen);
     
     // Progress update every 100 frames
     if (onProgress && frame % 100 === 0) {
@@ -277,181 +709,771 @@ function analyzeFrequencyAndEnergy(channelData, sampleRate, onProgress = null) {
     }
   }
   
-  // Normalize each band to its own range for better visualization
-  for (const band of Object.keys(frequency)) {
-    normalizeArray(frequency[band]);
-  }
-  normalizeArray(energy);
-  
-  return [frequency, energy];
+  // Bands and energy are raw levels here - normalizeLevels maps them to 0-1
+  return [frequency, energy, chroma, spectral, encodeSpectrogram(spectrogramPower)];
 }
 
 /**
- * Create Hann window (cached)
+ * Centroid, flatness and rolloff of one magnitude spectrum
+ * Centroid and rolloff are log-frequency positions in DESCRIPTOR_RANGE (0-1);
+ * flatness is the geometric over arithmetic mean of the power (0 tonal, 1 noise).
+ * Silent frames give zeros.
  */
-const windowCache = new Map();
-function createHannWindow(size) {
-  if (windowCache.has(size)) {
-    return windowCache.get(size);
+function spectralShape(magnitudes, binFrequency) {
+  let weightedSum = 0;
+  let magnitudeSum = 0;
+  let powerSum = 0;
+  let logPowerSum = 0;
+  
+  for (let bin = 1; bin < magnitudes.length; bin++) {
+    const power = magnitudes[bin] * magnitudes[bin];
+    weightedSum += bin * binFrequency * magnitudes[bin];
+    magnitudeSum += magnitudes[bin];
+    powerSum += power;
+    logPowerSum += Math.log(power + 1e-12);
   }
   
-  const window = new Float32Array(size);
-  for (let i = 0; i < size; i++) {
-    window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+  if (powerSum < 1e-9) {
+    return { centroid: 0, flatness: 0, rolloff: 0 };
   }
   
-  windowCache.set(size, window);
-  return window;
+  // Rolloff: frequency below which ROLLOFF_FRACTION of the power lies
+  let cumulative = 0;
+  let rolloffBin = magnitudes.length - 1;
+  for (let bin = 1; bin < magnitudes.length; bin++) {
+    cumulative += magnitudes[bin] * magnitudes[bin];
+    if (cumulative >= powerSum * ROLLOFF_FRACTION) {
+      rolloffBin = bin;
+      break;
+    }
+  }
+  
+  const count = magnitudes.length - 1;
+  const flatness = Math.exp(logPowerSum / count) / (powerSum / count);
+  
+  return {
+    centroid: round3(logPosition(weightedSum / magnitudeSum)),
+    flatness: round3(Math.min(1, flatness)),
+    rolloff: round3(logPosition(rolloffBin * binFrequency))
+  };
 }
 
 /**
- * Normalize array to 0-1 range
+ * Map a frequency to 0-1 on a log scale over DESCRIPTOR_RANGE
  */
-function normalizeArray(arr) {
-  let max = 0;
-  for (let i = 0; i < arr.length; i++) {
-    if (arr[i] > max) max = arr[i];
-  }
-  if (max > 0) {
-    for (let i = 0; i < arr.length; i++) {
-      arr[i] /= max;
-    }
-  }
+function logPosition(hz) {
+  const [low, high] = DESCRIPTOR_RANGE;
+  return Math.max(0, Math.min(1, Math.log(hz / low) / Math.log(high / low)));
 }
 
 /**
- * Beat detection using spectral flux in low frequencies
+ * Resample the combined onset-strength curve from detectBeats to the analysis frame rate
+ * Takes the maximum over each output frame so short onsets survive, then normalises.
  */
-function detectBeats(channelData, sampleRate, onProgress = null) {
-  const frameSize = 1024;
-  const hopSize = 512; // Increased hop size for faster processing
-  const numFrames = Math.floor((channelData.length - frameSize) / hopSize);
+function resampleOnsetFlux(flux, numSamples, frameRate) {
+  const { envelope } = onsetEnvelopes(flux);
+  const result = new Array(numSamples).fill(0);
   
-  // Calculate spectral flux for different frequency ranges
-  const kickFlux = new Float32Array(numFrames);
-  const snareFlux = new Float32Array(numFrames);
-  const hihatFlux = new Float32Array(numFrames);
+  for (let i = 0; i < envelope.length; i++) {
+    const frame = Math.floor(i * flux.frameDuration * frameRate);
+    if (frame >= numSamples) break;
+    if (envelope[i] > result[frame]) result[frame] = envelope[i];
+  }
   
-  let prevKickSpectrum = null;
-  let prevSnareSpectrum = null;
-  let prevHihatSpectrum = null;
+  normalizeArray(result);
+  return result.map(round3);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Map raw band and energy levels to 0-1 in place
+ * - peak: each curve divided by its own maximum
+ * - percentile: divided by its normalizationPercentile level, clipped at 1,
+ *   so a single transient doesn't flatten the rest of the song
+ * - loudness: percentile scaling, then the whole track is scaled by its integrated
+ *   loudness relative to referenceLoudness, so quiet tracks stay quiet
+ * @returns {Object} The mode and reference used, for the track JSON
+ */
+function normalizeLevels(frequency, energy, settings, integratedLoudness) {
+  const mode = settings.normalization;
+  const curves = [...Object.values(frequency), energy];
   
-  const binFreq = sampleRate / frameSize;
+  if (mode === 'peak') {
+    curves.forEach(curve => normalizeArray(curve));
+    return { mode };
+  }
   
-  // Bin ranges for different drum types
-  const kickBins = { start: Math.floor(40 / binFreq), end: Math.ceil(120 / binFreq) };
-  const snareBins = { start: Math.floor(120 / binFreq), end: Math.ceil(500 / binFreq) };
-  const hihatBins = { start: Math.floor(5000 / binFreq), end: Math.min(Math.ceil(15000 / binFreq), frameSize / 2 - 1) };
+  let gain = 1;
+  if (mode === 'loudness') {
+    gain = Math.min(1, Math.pow(10, (integratedLoudness - settings.referenceLoudness) / 20));
+  }
   
-  // Reusable buffers
-  const frameData = new Float32Array(frameSize);
-  const window = createHannWindow(frameSize);
+  for (const curve of curves) {
+    const level = percentileOf(curve, settings.normalizationPercentile);
+    const scale = level > 0 ? gain / level : 0;
+    for (let i = 0; i < curve.length; i++) {
+      curve[i] = Math.min(1, curve[i] * scale);
+    }
+  }
   
-  for (let frame = 0; frame < numFrames; frame++) {
-    const startSample = frame * hopSize;
-    
-    // Extract and window frame data
-    for (let i = 0; i < frameSize; i++) {
-      frameData[i] = (channelData[startSample + i] || 0) * window[i];
+  return mode === 'loudness'
+    ? { mode, percentile: settings.normalizationPercentile, reference: settings.referenceLoudness, gain: Math.round(gain * 1000) / 1000 }
+    : { mode, percentile: settings.normalizationPercentile };
+}
+
+/**
+ * Value below which the given fraction of the curve lies
+ */
+function percentileOf(curve, fraction) {
+  if (curve.length === 0) return 0;
+  const sorted = Float32Array.from(curve).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * Find silent regions, fades and likely track boundaries from the RMS energy curve
+ * Fades are looked for at the edges of every audible region: the smoothed level
+ * has to climb (or fall) by at least FADE_DEPTH dB to within 3dB of the region's
+ * median level, mostly monotonically. Boundaries are interior silences of
+ * BOUNDARY_GAP or more (confidence 1) and deep level dips between two louder
+ * stretches, as in a DJ mix (confidence from the dip depth). Gapless crossfades
+ * that keep the level up are not detected.
+ * @param {number[]} energy - Raw (unnormalised) RMS per frame
+ * @returns {Object} { silence: [{start, end}], fades: [{type, start, end}], boundaries: [{time, type, confidence}] }
+ */
+function detectLevelEvents(energy, frameRate, duration, threshold) {
+  const numFrames = energy.length;
+  const level = Array.from(energy, v => 20 * Math.log10(Math.max(v, 1e-10)));
+  const smoothed = movingAverage(level, Math.max(1, Math.round(frameRate * 0.25)));
+  const toTime = (frame) => roundTime(Math.min(duration, frame / frameRate));
+  
+  // Silent runs
+  const silence = [];
+  let runStart = -1;
+  for (let f = 0; f <= numFrames; f++) {
+    const silent = f < numFrames && smoothed[f] < threshold;
+    if (silent && runStart < 0) runStart = f;
+    if (!silent && runStart >= 0) {
+      if ((f - runStart) / frameRate >= SILENCE_MIN_DURATION) {
+        silence.push({ start: runStart, end: f });
+      }
+      runStart = -1;
     }
+  }
+  
+  // Fades at the edges of the audible regions between silences
+  const fades = [];
+  const edges = [0, ...silence.flatMap(({ start, end }) => [start, end]), numFrames];
+  const minFade = Math.round(FADE_MIN_DURATION * frameRate);
+  for (let i = 0; i < edges.length; i += 2) {
+    const [start, end] = [edges[i], edges[i + 1]];
+    if (end - start < minFade * 2) continue;
+    const body = percentileOf(smoothed.slice(start, end), 0.5);
     
-    const magnitudes = computeFFT(frameData);
-    
-    // Extract frequency band spectrums
-    const kickSpectrum = magnitudes.slice(kickBins.start, kickBins.end);
-    const snareSpectrum = magnitudes.slice(snareBins.start, snareBins.end);
-    const hihatSpectrum = magnitudes.slice(hihatBins.start, hihatBins.end);
-    
-    // Calculate spectral flux (positive differences only)
-    if (prevKickSpectrum) {
-      kickFlux[frame] = spectralFlux(kickSpectrum, prevKickSpectrum);
-      snareFlux[frame] = spectralFlux(snareSpectrum, prevSnareSpectrum);
-      hihatFlux[frame] = spectralFlux(hihatSpectrum, prevHihatSpectrum);
+    const fadeIn = findFade(smoothed, start, end, 1, body);
+    if (fadeIn >= 0 && fadeIn - start >= minFade) {
+      fades.push({ type: 'in', start: toTime(start), end: toTime(fadeIn) });
     }
-    
-    prevKickSpectrum = kickSpectrum.slice();
-    prevSnareSpectrum = snareSpectrum.slice();
-    prevHihatSpectrum = hihatSpectrum.slice();
-    
-    // Progress update every 500 frames
-    if (onProgress && frame % 500 === 0) {
-      onProgress(frame / numFrames);
+    const fadeOut = findFade(smoothed, end - 1, start - 1, -1, body);
+    if (fadeOut >= 0 && end - 1 - fadeOut >= minFade) {
+      fades.push({ type: 'out', start: toTime(fadeOut), end: toTime(end) });
     }
   }
   
-  // Find peaks in flux signals
-  const frameDuration = hopSize / sampleRate;
-  
-  const kicks = findPeaks(kickFlux, frameDuration, 0.15);
-  const snares = findPeaks(snareFlux, frameDuration, 0.12);
-  const hihats = findPeaks(hihatFlux, frameDuration, 0.08);
+  // Boundaries: interior silent gaps, then level dips on one-second blocks
+  const boundaries = [];
+  for (const { start, end } of silence) {
+    if (start > 0 && end < numFrames && (end - start) / frameRate >= BOUNDARY_GAP) {
+      boundaries.push({ time: toTime(end), type: 'silence', confidence: 1 });
+    }
+  }
   
-  // Combine all beats and sort
-  const allBeats = [...kicks, ...snares, ...hihats].sort((a, b) => a - b);
+  const blockSize = Math.max(1, Math.round(frameRate));
+  const blocks = [];
+  for (let b = 0; b + blockSize <= numFrames; b += blockSize) {
+    blocks.push(mean(smoothed.slice(b, b + blockSize)));
+  }
+  for (let c = 4; c < blocks.length - 4; c++) {
+    if (blocks[c] < threshold) continue;
+    let isMinimum = true;
+    for (let k = c - 4; k <= c + 4; k++) {
+      if (blocks[k] < blocks[c]) isMinimum = false;
+    }
+    if (!isMinimum) continue;
+    
+    const before = percentileOf(blocks.slice(Math.max(0, c - 16), c - 3), 0.5);
+    const after = percentileOf(blocks.slice(c + 4, c + 17), 0.5);
+    const depth = Math.min(before, after) - blocks[c];
+    if (depth >= DIP_DEPTH) {
+      // Quietest frame of the block
+      let quietest = c * blockSize;
+      for (let f = quietest; f < (c + 1) * blockSize; f++) {
+        if (smoothed[f] < smoothed[quietest]) quietest = f;
+      }
+      const confidence = Math.round(Math.min(1, depth / (DIP_DEPTH * 2)) * 100) / 100;
+      boundaries.push({ time: toTime(quietest), type: 'dip', confidence });
+    }
+  }
   
-  // Remove duplicates within 50ms
-  const uniqueBeats = [];
-  for (const beat of allBeats) {
-    if (uniqueBeats.length === 0 || beat - uniqueBeats[uniqueBeats.length - 1] > 0.05) {
-      uniqueBeats.push(beat);
+  // Merge boundaries that are close together, keeping the most confident
+  boundaries.sort((a, b) => a.time - b.time);
+  const merged = [];
+  for (const boundary of boundaries) {
+    const last = merged[merged.length - 1];
+    if (last && boundary.time - last.time < BOUNDARY_MERGE) {
+      if (boundary.confidence > last.confidence) merged[merged.length - 1] = boundary;
+    } else {
+      merged.push(boundary);
     }
   }
   
   return {
-    all: uniqueBeats,
-    kicks,
-    snares,
-    hihats
+    silence: silence.map(({ start, end }) => ({ start: toTime(start), end: toTime(end) })),
+    fades: fades.sort((a, b) => a.start - b.start),
+    boundaries: merged
   };
 }
 
 /**
- * Calculate spectral flux between two spectrums
+ * Walk from one edge of an audible region towards the other and find where a fade ends
+ * @param {number} direction - 1 walks forward from the start (fade-in), -1 backward from the end (fade-out)
+ * @returns {number} Frame where the level reaches the region's body, or -1 if this edge isn't a fade
  */
-function spectralFlux(current, previous) {
-  let flux = 0;
-  const len = Math.min(current.length, previous.length);
-  for (let i = 0; i < len; i++) {
-    const diff = current[i] - previous[i];
-    if (diff > 0) {
-      flux += diff;
+function findFade(smoothed, from, to, direction, body) {
+  if (smoothed[from] > body - FADE_DEPTH) return -1;
+  
+  let rising = 0;
+  let steps = 0;
+  for (let f = from + direction; f !== to; f += direction) {
+    steps++;
+    if (smoothed[f] > smoothed[f - direction]) rising++;
+    if (smoothed[f] >= body - 3) {
+      // Mostly monotonic, so a quiet intro with a sudden entry isn't a fade
+      return rising / steps >= 0.6 ? f : -1;
     }
   }
-  return flux;
+  return -1;
 }
 
 /**
- * Find peaks in a signal above threshold
+ * Centred moving average (radius in frames)
  */
-function findPeaks(signal, frameDuration, threshold) {
-  const peaks = [];
-  const windowSize = 20;
-  
-  for (let i = windowSize; i < signal.length - windowSize; i++) {
-    // Calculate local mean
-    let localSum = 0;
-    for (let j = i - windowSize; j <= i + windowSize; j++) {
-      localSum += signal[j];
-    }
-    const localMean = localSum / (windowSize * 2 + 1);
+function movingAverage(values, radius) {
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+  return Array.from(values, (_, i) => {
+    const start = Math.max(0, i - radius);
+    const end = Math.min(values.length, i + radius + 1);
+    return (prefix[end] - prefix[start]) / (end - start);
+  });
+}
+
+/**
+ * Measure loudness as in ITU-R BS.1770 / EBU R128
+ * Channels are K-weighted, mean squares are summed over channels in 400ms blocks
+ * (100ms hop), and the integrated value uses the -70 LUFS absolute and -10 LU
+ * relative gates. Short-term loudness uses a 3s window.
+ * @param {Float32Array[]} channels - One or two channels
+ * @returns {Object} { integrated, peak (dBFS), sampleRate, shortTerm } - LUFS values, floored at -70
+ */
+function measureLoudness(channels, sampleRate) {
+  const hop = Math.round(sampleRate / LOUDNESS_RATE);
+  const numHops = Math.floor(channels[0].length / hop);
+  
+  // Mean square of the K-weighted signal per 100ms hop, summed over channels
+  const hopPower = new Float64Array(numHops);
+  let peak = 0;
+  for (const channel of channels) {
+    const weighted = kWeight(channel, sampleRate);
+    for (let h = 0; h < numHops; h++) {
+      let sum = 0;
+      for (let i = h * hop; i < (h + 1) * hop; i++) {
+        sum += weighted[i] * weighted[i];
+      }
+      hopPower[h] += sum / hop;
+    }
+    for (let i = 0; i < channel.length; i++) {
+      const magnitude = Math.abs(channel[i]);
+      if (magnitude > peak) peak = magnitude;
+    }
+  }
+  
+  const windowPower = (hops) => {
+    const result = [];
+    for (let h = 0; h + hops <= numHops; h++) {
+      let sum = 0;
+      for (let k = h; k < h + hops; k++) sum += hopPower[k];
+      result.push(sum / hops);
+    }
+    return result;
+  };
+  const toLufs = (power) => power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  const roundLufs = (lufs) => Math.round(Math.max(LOUDNESS_FLOOR, lufs) * 10) / 10;
+  
+  // Gated integrated loudness over 400ms blocks
+  const blocks = windowPower(Math.round(LOUDNESS_BLOCK * LOUDNESS_RATE));
+  const aboveAbsolute = blocks.filter(power => toLufs(power) > LOUDNESS_FLOOR);
+  let integrated = LOUDNESS_FLOOR;
+  if (aboveAbsolute.length > 0) {
+    const relativeGate = toLufs(mean(aboveAbsolute)) - 10;
+    const gated = aboveAbsolute.filter(power => toLufs(power) > relativeGate);
+    integrated = toLufs(mean(gated));
+  }
+  
+  // Short-term loudness, one value per hop (padded at the start so it lines up with time)
+  const shortTermHops = Math.round(LOUDNESS_SHORT_TERM * LOUDNESS_RATE);
+  const shortTermPower = windowPower(Math.min(shortTermHops, numHops));
+  const padding = numHops - shortTermPower.length;
+  const shortTerm = [
+    ...new Array(padding).fill(roundLufs(toLufs(shortTermPower[0] ?? 0))),
+    ...shortTermPower.map(power => roundLufs(toLufs(power)))
+  ];
+  
+  return {
+    integrated: roundLufs(integrated),
+    peak: peak > 0 ? Math.round(20 * Math.log10(peak) * 10) / 10 : null,
+    sampleRate: LOUDNESS_RATE,
+    shortTerm
+  };
+}
+
+/**
+ * Apply the BS.1770 K-weighting filter (high shelf + high-pass) to a channel
+ * Coefficients are derived for the given sample rate the way libebur128 does,
+ * which reproduces the 48kHz coefficients in the standard.
+ */
+function kWeight(channel, sampleRate) {
+  // Stage 1: high shelf, +4dB above ~1.7kHz
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  
+  // Stage 2: high-pass at ~38Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  
+  return biquad(biquad(channel, shelf), highPass);
+}
+
+/**
+ * Second-order Butterworth low-pass or high-pass coefficients (RBJ cookbook, Q = 1/sqrt(2))
+ */
+function butterworth(type, frequency, sampleRate) {
+  const w0 = 2 * Math.PI * frequency / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / Math.SQRT2;
+  const a0 = 1 + alpha;
+  const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+  const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+  
+  return { b0: b0 / a0, b1: b1 / a0, b2: b0 / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+}
+
+/**
+ * Track the melody's fundamental frequency with YIN
+ * The signal is band-passed to the mid band and decimated, then each frame's
+ * YIN difference function is computed from an FFT cross-correlation.
+ * Unvoiced frames report f0 = 0; the normalised value holds the last voiced note
+ * so a melody line doesn't drop to the floor between notes.
+ * settings.pitchRange is the [lowest, highest] MIDI note searched and mapped to 0-1.
+ * @returns {Object} { range, f0 (Hz), confidence (0-1), value (0-1) }
+ */
+function trackPitch(channelData, sampleRate, numFrames, settings, onProgress = null) {
+  const [lowNote, highNote] = settings.pitchRange;
+  const midiToHz = (note) => 440 * Math.pow(2, (note - 69) / 12);
+  
+  // Mid band, low-passed twice before decimating so little aliases back in
+  const [lowHz, highHz] = settings.bands.mid;
+  const lowPass = butterworth('lowpass', highHz, sampleRate);
+  const filtered = biquad(biquad(biquad(channelData, butterworth('highpass', lowHz, sampleRate)), lowPass), lowPass);
+  const factor = Math.max(1, Math.floor(sampleRate / PITCH_ANALYSIS_RATE));
+  const rate = sampleRate / factor;
+  const signal = new Float32Array(Math.floor(filtered.length / factor));
+  for (let i = 0; i < signal.length; i++) {
+    signal[i] = filtered[i * factor];
+  }
+  
+  const tauMin = Math.max(2, Math.floor(rate / midiToHz(highNote)));
+  const tauMax = Math.ceil(rate / midiToHz(lowNote));
+  const windowSize = Math.max(tauMax, Math.round(PITCH_WINDOW * rate));
+  const frameLength = windowSize + tauMax;
+  const N = Math.pow(2, Math.ceil(Math.log2(windowSize + frameLength)));
+  getTwiddleFactors(N);
+  
+  const aReal = new Float32Array(N), aImag = new Float32Array(N);
+  const bReal = new Float32Array(N), bImag = new Float32Array(N);
+  const squares = new Float64Array(frameLength + 1);
+  const cmnd = new Float32Array(tauMax + 2);
+  
+  const f0 = new Array(numFrames).fill(0);
+  const confidence = new Array(numFrames).fill(0);
+  const value = new Array(numFrames).fill(0);
+  let lastValue = 0;
+  
+  for (let frame = 0; frame < numFrames; frame++) {
+    const start = Math.round(frame / settings.sampleRate * rate);
+    if (start + frameLength > signal.length) {
+      value[frame] = lastValue;
+      continue;
+    }
+    
+    // Prefix sums of squares for the energy terms
+    for (let j = 0; j < frameLength; j++) {
+      squares[j + 1] = squares[j] + signal[start + j] * signal[start + j];
+    }
+    
+    // Skip near-silent frames (below -60dBFS)
+    if (squares[windowSize] / windowSize < 1e-6) {
+      value[frame] = lastValue;
+      continue;
+    }
+    
+    // Cross-correlation of the window with the frame: conj(A) * B, inverse via conj(fft(conj))
+    aReal.fill(0); aImag.fill(0); bReal.fill(0); bImag.fill(0);
+    for (let j = 0; j < windowSize; j++) aReal[j] = signal[start + j];
+    for (let j = 0; j < frameLength; j++) bReal[j] = signal[start + j];
+    fft(aReal, aImag);
+    fft(bReal, bImag);
+    for (let k = 0; k < N; k++) {
+      const re = aReal[k] * bReal[k] + aImag[k] * bImag[k];
+      const im = aReal[k] * bImag[k] - aImag[k] * bReal[k];
+      aReal[k] = re;
+      aImag[k] = -im;
+    }
+    fft(aReal, aImag);
+    
+    // Cumulative mean normalised difference
+    const e0 = squares[windowSize];
+    let runningSum = 0;
+    cmnd[0] = 1;
+    for (let tau = 1; tau <= tauMax; tau++) {
+      const correlation = aReal[tau] / N;
+      const energy = squares[tau + windowSize] - squares[tau];
+      const difference = Math.max(0, e0 + energy - 2 * correlation);
+      runningSum += difference;
+      cmnd[tau] = runningSum > 0 ? difference * tau / runningSum : 1;
+    }
+    
+    // First dip below the threshold (followed to its minimum), else the global minimum
+    let best = -1;
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+      if (cmnd[tau] < YIN_THRESHOLD) {
+        while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+        best = tau;
+        break;
+      }
+    }
+    if (best < 0) {
+      best = tauMin;
+      for (let tau = tauMin + 1; tau <= tauMax; tau++) {
+        if (cmnd[tau] < cmnd[best]) best = tau;
+      }
+    }
+    
+    confidence[frame] = Math.round(Math.max(0, Math.min(1, 1 - cmnd[best])) * 100) / 100;
+    
+    if (cmnd[best] < YIN_THRESHOLD) {
+      // Parabolic interpolation around the dip
+      let period = best;
+      if (best > 1 && best < tauMax) {
+        const left = cmnd[best - 1], centre = cmnd[best], right = cmnd[best + 1];
+        const denominator = left - 2 * centre + right;
+        if (denominator > 0) period += (left - right) / (2 * denominator);
+      }
+      const hz = rate / period;
+      const note = 69 + 12 * Math.log2(hz / 440);
+      f0[frame] = Math.round(hz * 10) / 10;
+      lastValue = round3(Math.max(0, Math.min(1, (note - lowNote) / (highNote - lowNote))));
+    }
+    value[frame] = lastValue;
+    
+    if (onProgress && frame % 500 === 0) {
+      onProgress(frame / numFrames);
+    }
+  }
+  
+  return { range: [lowNote, highNote], f0, confidence, value };
+}
+
+/**
+ * Run a biquad filter over a signal (direct form I)
+ */
+function biquad(input, { b0, b1, b2, a1, a2 }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+  }
+  return output;
+}
+
+/**
+ * FFT bin range (inclusive) for each band
+ * @param {Object} bands - { name: [lowHz, highHz] }
+ */
+export function getBandBinRanges(sampleRate, fftSize, bands) {
+  const binCount = fftSize / 2;
+  const binFrequency = sampleRate / fftSize;
+  const bandBins = {};
+  for (const [band, [low, high]] of Object.entries(bands)) {
+    bandBins[band] = {
+      start: Math.floor(low / binFrequency),
+      end: Math.min(Math.ceil(high / binFrequency), binCount - 1)
+    };
+  }
+  return bandBins;
+}
+
+/**
+ * Create Hann window (cached)
+ */
+const windowCache = new Map();
+export function createHannWindow(size) {
+  if (windowCache.has(size)) {
+    return windowCache.get(size);
+  }
+  
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+  }
+  
+  windowCache.set(size, window);
+  return window;
+}
+
+/**
+ * Normalize array to 0-1 range
+ */
+function normalizeArray(arr) {
+  let max = 0;
+  for (let i = 0; i < arr.length; i++) {
+    if (arr[i] > max) max = arr[i];
+  }
+  if (max > 0) {
+    for (let i = 0; i < arr.length; i++) {
+      arr[i] /= max;
+    }
+  }
+}
+
+/**
+ * Beat detection using spectral flux in low frequencies
+ * @returns {Array} [beats, flux, velocities] - onset timestamps, the per-frame flux curves,
+ *   and a velocity (0-1) per onset in arrays parallel to the beat arrays
+ */
+function detectBeats(channelData, sampleRate, settings, onProgress = null) {
+  const frameSize = ONSET_FRAME_SIZE;
+  const hopSize = ONSET_HOP_SIZE;
+  const numFrames = Math.floor((channelData.length - frameSize) / hopSize);
+  
+  // Calculate spectral flux for different frequency ranges
+  const kickFlux = new Float32Array(numFrames);
+  const snareFlux = new Float32Array(numFrames);
+  const hihatFlux = new Float32Array(numFrames);
+  
+  let prevKickSpectrum = null;
+  let prevSnareSpectrum = null;
+  let prevHihatSpectrum = null;
+  
+  // Bin ranges for different drum types
+  const { kicks: kickBins, snares: snareBins, hihats: hihatBins } = getDrumBinRanges(sampleRate, settings.drumRanges);
+  
+  // Reusable buffers
+  const frameData = new Float32Array(frameSize);
+  const window = createHannWindow(frameSize);
+  
+  for (let frame = 0; frame < numFrames; frame++) {
+    const startSample = frame * hopSize;
     
-    // Check if this is a peak
-    const adaptiveThreshold = Math.max(threshold, localMean * 1.5);
+    // Extract and window frame data
+    for (let i = 0; i < frameSize; i++) {
+      frameData[i] = (channelData[startSample + i] || 0) * window[i];
+    }
+    
+    const magnitudes = computeFFT(frameData);
     
-    if (signal[i] > adaptiveThreshold &&
-        signal[i] > signal[i - 1] &&
-        signal[i] > signal[i + 1]) {
+    // Extract frequency band spectrums
+    const kickSpectrum = magnitudes.slice(kickBins.start, kickBins.end);
+    const snareSpectrum = magnitudes.slice(snareBins.start, snareBins.end);
+    const hihatSpectrum = magnitudes.slice(hihatBins.start, hihatBins.end);
+    
+    // Calculate spectral flux (positive differences only)
+    if (prevKickSpectrum) {
+      kickFlux[frame] = spectralFlux(kickSpectrum, prevKickSpectrum);
+      snareFlux[frame] = spectralFlux(snareSpectrum, prevSnareSpectrum);
+      hihatFlux[frame] = spectralFlux(hihatSpectrum, prevHihatSpectrum);
+    }
+    
+    prevKickSpectrum = kickSpectrum.slice();
+    prevSnareSpectrum = snareSpectrum.slice();
+    prevHihatSpectrum = hihatSpectrum.slice();
+    
+    // Progress update every 500 frames
+    if (onProgress && frame % 500 === 0) {
+      onProgress(frame / numFrames);
+    }
+  }
+  
+  // Find peaks in flux signals
+  const frameDuration = hopSize / sampleRate;
+  
+  const kickHeights = [];
+  const snareHeights = [];
+  const hihatHeights = [];
+  const thresholds = settings.peakThresholds;
+  const kicks = findPeaks(kickFlux, frameDuration, thresholds.kicks, kickHeights);
+  const snares = findPeaks(snareFlux, frameDuration, thresholds.snares, snareHeights);
+  const hihats = findPeaks(hihatFlux, frameDuration, thresholds.hihats, hihatHeights);
+  
+  const velocities = {
+    kicks: peakVelocities(kickHeights),
+    snares: peakVelocities(snareHeights),
+    hihats: peakVelocities(hihatHeights)
+  };
+  
+  // Combine all beats and sort
+  const allBeats = [
+    ...kicks.map((time, i) => [time, velocities.kicks[i]]),
+    ...snares.map((time, i) => [time, velocities.snares[i]]),
+    ...hihats.map((time, i) => [time, velocities.hihats[i]])
+  ].sort((a, b) => a[0] - b[0]);
+  
+  // Remove duplicates within 50ms, keeping the strongest velocity of each group
+  const uniqueBeats = [];
+  const uniqueVelocities = [];
+  for (const [beat, velocity] of allBeats) {
+    const last = uniqueBeats.length - 1;
+    if (last < 0 || beat - uniqueBeats[last] > 0.05) {
+      uniqueBeats.push(beat);
+      uniqueVelocities.push(velocity);
+    } else if (velocity > uniqueVelocities[last]) {
+      uniqueVelocities[last] = velocity;
+    }
+  }
+  velocities.all = uniqueVelocities;
+  
+  const beats = {
+    all: uniqueBeats,
+    kicks,
+    snares,
+    hihats
+  };
+  const flux = {
+    kick: kickFlux,
+    snare: snareFlux,
+    hihat: hihatFlux,
+    frameDuration
+  };
+  
+  return [beats, flux, {
+    all: velocities.all,
+    kicks: velocities.kicks,
+    snares: velocities.snares,
+    hihats: velocities.hihats
+  }];
+}
+
+/**
+ * FFT bin range (end exclusive) of each drum type in an onset frame
+ * @param {Object} drumRanges - { kicks: [lowHz, highHz], ... }
+ */
+export function getDrumBinRanges(sampleRate, drumRanges) {
+  const binFreq = sampleRate / ONSET_FRAME_SIZE;
+  const drumBins = {};
+  for (const [type, [low, high]] of Object.entries(drumRanges)) {
+    const end = Math.min(Math.ceil(high / binFreq), ONSET_FRAME_SIZE / 2 - 1);
+    drumBins[type] = { start: Math.min(Math.floor(low / binFreq), end - 1), end };
+  }
+  return drumBins;
+}
+
+/**
+ * Map flux peak heights to velocities (0-1, 2 decimals)
+ */
+function peakVelocities(heights) {
+  const reference = percentileOf(heights, VELOCITY_PERCENTILE);
+  return heights.map(h => reference > 0 ? Math.round(Math.min(1, h / reference) * 100) / 100 : 1);
+}
+
+/**
+ * Calculate spectral flux between two spectrums
+ */
+export function spectralFlux(current, previous) {
+  let flux = 0;
+  const len = Math.min(current.length, previous.length);
+  for (let i = 0; i < len; i++) {
+    const diff = current[i] - previous[i];
+    if (diff > 0) {
+      flux += diff;
+    }
+  }
+  return flux;
+}
+
+/**
+ * Find peaks in a signal above threshold
+ * @param {Array} heights - Optional array that receives each peak's height (summed with its neighbours)
+ * @returns {number[]} Peak times in seconds
+ */
+function findPeaks(signal, frameDuration, threshold, heights = null) {
+  const peaks = [];
+  
+  for (let i = PEAK_WINDOW; i < signal.length - PEAK_WINDOW; i++) {
+    if (isPeak(signal, i, i - PEAK_WINDOW, i + PEAK_WINDOW, threshold)) {
       peaks.push(i * frameDuration);
+      // An onset's flux spreads over neighbouring frames depending on where it falls in the hop
+      if (heights) heights.push(signal[i - 1] + signal[i] + signal[i + 1]);
     }
   }
   
   return peaks;
 }
 
+/**
+ * Whether signal[i] is a peak: a local maximum above both the threshold and
+ * 1.5x the mean of signal[from..to] (inclusive)
+ */
+export function isPeak(signal, i, from, to, threshold) {
+  let localSum = 0;
+  for (let j = from; j <= to; j++) {
+    localSum += signal[j];
+  }
+  const adaptiveThreshold = Math.max(threshold, localSum / (to - from + 1) * 1.5);
+  
+  return signal[i] > adaptiveThreshold &&
+    signal[i] > signal[i - 1] &&
+    signal[i] > signal[i + 1];
+}
+
 /**
  * Estimate BPM from beat timestamps using autocorrelation
  */
-function estimateBPM(beats, duration) {
+export function estimateBPM(beats, duration) {
   if (beats.length < 4) return 120;
   
   // Calculate inter-beat intervals
@@ -502,6 +1524,617 @@ function estimateBPM(beats, duration) {
   return Math.round(minBPM + maxBin * resolution);
 }
 
+/**
+ * Fit a regular beat grid to the onset flux
+ * Refines the BPM estimate to a fractional tempo, finds the beat phase,
+ * then picks the bar length and downbeat with the strongest kick accent.
+ * With a multi-segment tempo map, each segment gets its own period and phase.
+ */
+function computeBeatGrid(flux, bpm, duration, tempoMap = null) {
+  const { frameDuration } = flux;
+  const { envelope, accent } = onsetEnvelopes(flux);
+  
+  let beats;
+  let gridBpm = bpm;
+  
+  if (tempoMap?.length > 1) {
+    beats = fitSegmentedGrid(envelope, frameDuration, tempoMap, duration);
+  } else {
+    // Search +/- 4 BPM around the estimate and its double/half for the best-aligned period.
+    // Histogram estimates are quantized to the flux hop, hence the wide window.
+    let best = { score: -Infinity, period: 60 / bpm, offset: 0 };
+    for (const octave of [1, 2, 0.5]) {
+      const center = bpm * octave;
+      if (center < 60 || center > 200) continue;
+      
+      for (let candidate = center - 4; candidate <= center + 4; candidate += 0.05) {
+        const period = 60 / candidate;
+        const fit = fitGridPhase(envelope, frameDuration, period, 0, duration);
+        const score = fit.score * tempoPrior(candidate);
+        if (score > best.score) {
+          best = { score, period, offset: fit.offset };
+        }
+      }
+    }
+    
+    beats = [];
+    for (let k = 0; best.offset + k * best.period < duration; k++) {
+      beats.push(roundTime(best.offset + k * best.period));
+    }
+    gridBpm = 60 / best.period;
+  }
+  
+  const { beatsPerBar, firstDownbeat } = findDownbeats(beats, accent, frameDuration);
+  
+  const downbeats = [];
+  for (let i = firstDownbeat; i < beats.length; i += beatsPerBar) {
+    downbeats.push(beats[i]);
+  }
+  
+  return {
+    bpm: Math.round(gridBpm * 100) / 100,
+    offset: beats[0] ?? 0,
+    beatsPerBar,
+    timeSignature: [beatsPerBar, 4],
+    beats,
+    downbeats
+  };
+}
+
+/**
+ * Build onset curves used for grid fitting from the raw drum flux
+ * @returns {{envelope: Float32Array, accent: Float32Array}} Combined onset strength
+ *   for phase fitting, and kick-minus-snare accent for finding downbeats
+ */
+function onsetEnvelopes(flux) {
+  const kick = normalizedCopy(flux.kick);
+  const snare = normalizedCopy(flux.snare);
+  const hihat = normalizedCopy(flux.hihat);
+  
+  const envelope = new Float32Array(kick.length);
+  const accent = new Float32Array(kick.length);
+  for (let i = 0; i < kick.length; i++) {
+    envelope[i] = kick[i] + snare[i] * 0.6 + hihat[i] * 0.3;
+    // Kicks land on 1 (and 3), snares on 2 and 4
+    accent[i] = kick[i] - snare[i] * 0.5;
+  }
+  
+  return { envelope, accent };
+}
+
+/**
+ * Fit each tempo map segment separately and join the beats
+ */
+function fitSegmentedGrid(envelope, frameDuration, tempoMap, duration) {
+  const beats = [];
+  
+  for (let i = 0; i < tempoMap.length; i++) {
+    const [start, segmentBpm] = tempoMap[i];
+    const end = i + 1 < tempoMap.length ? tempoMap[i + 1][0] : duration;
+    
+    // Fine-tune within +/- 0.5 BPM of the segment tempo
+    let best = { score: -Infinity, period: 60 / segmentBpm, offset: start };
+    for (let candidate = segmentBpm - 0.5; candidate <= segmentBpm + 0.5; candidate += 0.05) {
+      const period = 60 / candidate;
+      const fit = fitGridPhase(envelope, frameDuration, period, start, end);
+      if (fit.score > best.score) {
+        best = { score: fit.score, period, offset: fit.offset };
+      }
+    }
+    
+    // Skip beats that would crowd the previous segment's last beat
+    const previous = beats.length > 0 ? beats[beats.length - 1] : -Infinity;
+    for (let t = best.offset; t < end; t += best.period) {
+      if (t - previous > best.period * 0.5) {
+        beats.push(roundTime(t));
+      }
+    }
+  }
+  
+  return beats;
+}
+
+/**
+ * Estimate a tempo map over sliding windows
+ * Each window's tempo is picked from the histogram estimate and its
+ * double/half, fine-tuned against the onset envelope. Consecutive windows
+ * with matching tempo are merged into segments, and each segment boundary
+ * is then moved to where the two tempos fit best.
+ * @returns {Array} [[time, bpm], ...] segments, the first starting at 0
+ */
+function estimateTempoMap(flux, onsets, globalBpm, duration) {
+  const windowSize = 20;
+  const hop = 5;
+  const tolerance = 1.5; // BPM difference that starts a new segment
+  
+  if (duration < windowSize * 2) {
+    return [[0, Math.round(globalBpm * 10) / 10]];
+  }
+  
+  const { frameDuration } = flux;
+  const { envelope } = onsetEnvelopes(flux);
+  
+  const windows = [];
+  let previousBpm = globalBpm;
+  for (let start = 0; start + windowSize <= duration; start += hop) {
+    const end = start + windowSize;
+    const windowOnsets = onsets.filter(t => t >= start && t < end);
+    
+    // Too few onsets (breakdowns, silence) - carry the previous tempo
+    let localBpm = previousBpm;
+    if (windowOnsets.length >= 8) {
+      const estimate = estimateBPM(windowOnsets, windowSize);
+      let bestScore = -Infinity;
+      for (const octave of [1, 2, 0.5]) {
+        const center = estimate * octave;
+        if (center < 60 || center > 200) continue;
+        for (let candidate = center - 4; candidate <= center + 4; candidate += 0.1) {
+          const fit = fitGridPhase(envelope, frameDuration, 60 / candidate, start, end);
+          const score = fit.score * tempoPrior(candidate);
+          if (score > bestScore) {
+            bestScore = score;
+            localBpm = candidate;
+          }
+        }
+      }
+    }
+    
+    // Each window speaks for the hop-sized region around its centre
+    windows.push({ time: start + (windowSize - hop) / 2, bpm: localBpm });
+    previousBpm = localBpm;
+  }
+  
+  // Median of 3 removes single-window outliers
+  const smoothed = windows.map((w, i) => {
+    const neighbours = windows.slice(Math.max(0, i - 1), i + 2).map(n => n.bpm).sort((a, b) => a - b);
+    return { time: w.time, bpm: neighbours[Math.floor(neighbours.length / 2)] };
+  });
+  
+  let segments = [{ time: 0, bpms: [smoothed[0].bpm] }];
+  for (let i = 1; i < smoothed.length; i++) {
+    const current = segments[segments.length - 1];
+    if (Math.abs(smoothed[i].bpm - mean(current.bpms)) <= tolerance) {
+      current.bpms.push(smoothed[i].bpm);
+    } else {
+      segments.push({ time: smoothed[i].time, bpms: [smoothed[i].bpm] });
+    }
+  }
+  
+  // Windows straddling a change report in-between tempos - fold those
+  // short segments into whichever neighbour has the closer tempo
+  segments = segments.filter((segment, i) => {
+    if (segment.bpms.length > 1 || segments.length === 1) return true;
+    const prev = segments[i - 1];
+    const next = segments[i + 1];
+    const bpm = segment.bpms[0];
+    if (next && (!prev || Math.abs(next.bpms[0] - bpm) < Math.abs(mean(prev.bpms) - bpm))) {
+      next.time = segment.time;
+    }
+    return false;
+  });
+  if (segments.length === 0) {
+    return [[0, Math.round(globalBpm * 10) / 10]];
+  }
+  segments[0].time = 0;
+  
+  const tempoMap = [];
+  for (const { time, bpms } of segments) {
+    const bpm = Math.round(mean(bpms) * 10) / 10;
+    if (tempoMap.length === 0 || tempoMap[tempoMap.length - 1][1] !== bpm) {
+      tempoMap.push([time, bpm]);
+    }
+  }
+  
+  // Place each change where left and right tempos together fit the onsets best
+  for (let i = 1; i < tempoMap.length; i++) {
+    const left = tempoMap[i - 1];
+    const right = tempoMap[i];
+    const rangeEnd = i + 1 < tempoMap.length ? tempoMap[i + 1][0] : duration;
+    let bestTime = right[0];
+    let bestScore = -Infinity;
+    
+    for (let t = Math.max(left[0] + hop, right[0] - windowSize / 2); t <= Math.min(rangeEnd - hop, right[0] + windowSize / 2); t += 0.5) {
+      const before = fitGridPhase(envelope, frameDuration, 60 / left[1], Math.max(left[0], t - windowSize), t);
+      const after = fitGridPhase(envelope, frameDuration, 60 / right[1], t, Math.min(rangeEnd, t + windowSize));
+      const score = before.score + after.score;
+      if (score > bestScore) {
+        bestScore = score;
+        bestTime = t;
+      }
+    }
+    right[0] = roundTime(bestTime);
+  }
+  
+  return tempoMap;
+}
+
+/**
+ * Perceptual tempo prior centred on 120 BPM
+ * Half and double tempo often fit onsets equally well; this breaks the tie.
+ */
+function tempoPrior(bpm) {
+  return Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.8, 2));
+}
+
+/**
+ * Arithmetic mean of an array
+ */
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Find song sections from energy and spectral novelty
+ * Band and energy curves are averaged into one-second blocks; a checkerboard
+ * kernel over their self-similarity gives a novelty curve whose peaks become
+ * boundaries, snapped to the nearest downbeat. Each section then gets a role
+ * guessed from its energy relative to the loudest section and its neighbours.
+ * @param {Object} frequency - Band curves, each scaled to its own peak
+ * @param {number[]} energy - RMS curve scaled to its peak
+ * @returns {Array} [{ start, end, label, energy }]
+ */
+function detectSections(frequency, energy, beatGrid, duration, frameRate) {
+  const blockSize = Math.max(1, Math.round(frameRate)); // One-second blocks
+  const kernelSize = 8; // Blocks on each side of a candidate boundary
+  const minLength = 8; // Shortest section in seconds
+  const numBlocks = Math.floor(energy.length / blockSize);
+  
+  // Block feature vectors: four bands plus RMS energy
+  const curves = [frequency.sub, frequency.bass, frequency.mid, frequency.high, energy];
+  const features = [];
+  for (let b = 0; b < numBlocks; b++) {
+    features.push(curves.map(curve => {
+      let sum = 0;
+      for (let i = b * blockSize; i < (b + 1) * blockSize; i++) sum += curve[i];
+      return sum / blockSize;
+    }));
+  }
+  
+  // Checkerboard novelty: distance across the candidate minus distance within each side
+  const novelty = new Float32Array(numBlocks);
+  for (let c = kernelSize; c <= numBlocks - kernelSize; c++) {
+    let score = 0;
+    for (let i = -kernelSize; i < kernelSize; i++) {
+      for (let j = -kernelSize; j < kernelSize; j++) {
+        const sign = (i < 0) === (j < 0) ? -1 : 1;
+        score += sign * featureDistance(features[c + i], features[c + j]);
+      }
+    }
+    novelty[c] = Math.max(0, score);
+  }
+  
+  // Peaks above mean + half a standard deviation, at least minLength apart
+  const noveltyMean = mean(novelty);
+  const noveltyStd = Math.sqrt(mean(Array.from(novelty, v => (v - noveltyMean) ** 2)));
+  const threshold = noveltyMean + noveltyStd * 0.5;
+  const boundaries = [];
+  for (let c = 1; c < numBlocks - 1; c++) {
+    if (novelty[c] <= threshold) continue;
+    let isPeak = true;
+    for (let k = Math.max(0, c - minLength / 2); k <= Math.min(numBlocks - 1, c + minLength / 2); k++) {
+      if (novelty[k] > novelty[c]) {
+        isPeak = false;
+        break;
+      }
+    }
+    const time = snapToDownbeat(c, beatGrid);
+    const previous = boundaries.length > 0 ? boundaries[boundaries.length - 1] : 0;
+    if (isPeak && time - previous >= minLength && duration - time >= minLength) {
+      boundaries.push(time);
+    }
+  }
+  
+  const edges = [0, ...boundaries, roundTime(duration)];
+  const sections = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const startFrame = Math.floor(edges[i] * frameRate);
+    const endFrame = Math.min(energy.length, Math.floor(edges[i + 1] * frameRate));
+    let sum = 0;
+    for (let f = startFrame; f < endFrame; f++) sum += energy[f];
+    sections.push({
+      start: edges[i],
+      end: edges[i + 1],
+      label: 'verse',
+      energy: Math.round(sum / Math.max(1, endFrame - startFrame) * 1000) / 1000
+    });
+  }
+  
+  labelSections(sections, energy, frameRate);
+  return sections;
+}
+
+/**
+ * Guess a role for each section from its energy
+ * Loud sections are drops, quiet ones in the middle are breakdowns,
+ * quiet edges are intro/outro, and rising sections before a drop are builds.
+ */
+function labelSections(sections, energy, frameRate) {
+  const loudest = Math.max(...sections.map(s => s.energy)) || 1;
+  
+  sections.forEach((section, i) => {
+    const relative = section.energy / loudest;
+    const isFirst = i === 0;
+    const isLast = i === sections.length - 1;
+    
+    if (relative >= 0.85) {
+      section.label = 'drop';
+    } else if (isFirst && sections.length > 1) {
+      section.label = 'intro';
+    } else if (isLast && sections.length > 1) {
+      section.label = 'outro';
+    } else if (relative < 0.5) {
+      section.label = 'breakdown';
+    } else {
+      section.label = 'verse';
+    }
+  });
+  
+  // Builds: energy climbs through the section and a drop follows
+  sections.forEach((section, i) => {
+    const next = sections[i + 1];
+    if (!next || next.label !== 'drop' || section.label === 'drop' || section.label === 'intro') return;
+    
+    // Skip a second at each edge so snapped boundaries don't leak in the neighbours
+    const startFrame = Math.floor((section.start + 1) * frameRate);
+    const endFrame = Math.min(energy.length, Math.floor((section.end - 1) * frameRate));
+    const quarter = Math.floor((endFrame - startFrame) / 4);
+    if (quarter < 1) return;
+    
+    const head = mean(energy.slice(startFrame, startFrame + quarter));
+    const tail = mean(energy.slice(endFrame - quarter, endFrame));
+    if (tail > head * 1.15) {
+      section.label = 'build';
+    }
+  });
+}
+
+/**
+ * Euclidean distance between two feature vectors
+ */
+function featureDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Snap a time to the nearest downbeat within two seconds
+ */
+function snapToDownbeat(time, beatGrid) {
+  let best = time;
+  let bestDistance = 2;
+  for (const downbeat of beatGrid?.downbeats || []) {
+    const distance = Math.abs(downbeat - time);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = downbeat;
+    }
+  }
+  return roundTime(best);
+}
+
+/**
+ * Estimate the musical key (Krumhansl-Schmuckler)
+ * Correlates the energy-weighted mean chroma with all 24 rotated key profiles.
+ * @returns {Object} { name, tonic (pitch class 0-11), mode, confidence (correlation) }
+ */
+function estimateKey(chroma, energy) {
+  const profile = new Array(12).fill(0);
+  for (let f = 0; f < chroma.length; f++) {
+    for (let pc = 0; pc < 12; pc++) {
+      profile[pc] += chroma[f][pc] * energy[f];
+    }
+  }
+  
+  let best = { name: 'C major', tonic: 0, mode: 'major', confidence: 0 };
+  for (const [mode, keyProfile] of Object.entries(KEY_PROFILES)) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = profile.map((_, pc) => profile[(pc + tonic) % 12]);
+      const r = correlation(rotated, keyProfile);
+      if (r > best.confidence) {
+        best = { name: `${PITCH_CLASSES[tonic]} ${mode}`, tonic, mode, confidence: Math.round(r * 100) / 100 };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Find harmonic changes from beat-synchronous chroma
+ * Chroma is averaged per grid beat; a beat is a chord change when the two beats
+ * after it differ from the two before it (cosine distance) more than their neighbours do.
+ * @param {number[]} energy - Raw (unnormalised) RMS per frame
+ * @returns {Array} Change times in seconds (on grid beats)
+ */
+function detectChordChanges(chroma, energy, beatGrid, frameRate) {
+  const beats = beatGrid?.beats || [];
+  if (beats.length < 5) return [];
+  
+  // Mean chroma and energy between consecutive beats
+  const beatChroma = [];
+  const beatEnergy = [];
+  for (let i = 0; i < beats.length - 1; i++) {
+    const start = Math.floor(beats[i] * frameRate);
+    const end = Math.min(chroma.length, Math.max(start + 1, Math.floor(beats[i + 1] * frameRate)));
+    const vector = new Array(12).fill(0);
+    let level = 0;
+    for (let f = start; f < end; f++) {
+      for (let pc = 0; pc < 12; pc++) vector[pc] += chroma[f][pc];
+      level += energy[f];
+    }
+    beatChroma.push(vector);
+    beatEnergy.push(level / Math.max(1, end - start));
+  }
+  
+  const minLevel = Math.pow(10, CHORD_MIN_LEVEL / 20);
+  const novelty = new Array(beatChroma.length).fill(0);
+  for (let i = 2; i < beatChroma.length - 1; i++) {
+    // Skip near-silent stretches, where chroma is mostly noise
+    if (Math.min(beatEnergy[i], beatEnergy[i - 1]) < minLevel) continue;
+    const before = beatChroma[i - 2].map((v, pc) => v + beatChroma[i - 1][pc]);
+    const after = beatChroma[i].map((v, pc) => v + beatChroma[i + 1][pc]);
+    novelty[i] = 1 - cosineSimilarity(before, after);
+  }
+  
+  const threshold = Math.max(0.05, mean(novelty) * 1.5);
+  const changes = [];
+  for (let i = 2; i < novelty.length - 1; i++) {
+    if (novelty[i] > threshold && novelty[i] > novelty[i - 1] && novelty[i] >= novelty[i + 1]) {
+      changes.push(beats[i]);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Pearson correlation of two equal-length arrays
+ */
+function correlation(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let num = 0, denA = 0, denB = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  return denA > 0 && denB > 0 ? num / Math.sqrt(denA * denB) : 0;
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is silent)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Find the grid phase that lines up best with the onset envelope
+ * @returns {{offset: number, score: number}} First beat time and mean onset strength on the grid
+ */
+function fitGridPhase(envelope, frameDuration, period, start, end) {
+  let bestOffset = start;
+  let bestScore = -Infinity;
+  
+  for (let phase = 0; phase < period; phase += frameDuration) {
+    let sum = 0;
+    let count = 0;
+    for (let t = start + phase; t < end; t += period) {
+      sum += peakAround(envelope, Math.round(t / frameDuration), 1);
+      count++;
+    }
+    const score = count > 0 ? sum / count : 0;
+    if (score > bestScore) {
+      bestScore = score;
+      bestOffset = start + phase;
+    }
+  }
+  
+  return { offset: bestOffset, score: bestScore };
+}
+
+/**
+ * Pick bar length (4 or 3) and the beat index of the first downbeat
+ */
+function findDownbeats(beats, accent, frameDuration) {
+  // Sum rather than peak: a peak's height depends on where the onset falls within the hop
+  const values = beats.map(t => sumAround(accent, Math.round(t / frameDuration), 3));
+  
+  // Contrast is measured in standard deviations so noisy tracks don't invent accents
+  let mean = 0;
+  for (const v of values) mean += v;
+  mean /= values.length || 1;
+  let variance = 0;
+  for (const v of values) variance += (v - mean) * (v - mean);
+  const spread = Math.sqrt(variance / (values.length || 1)) || 1;
+  
+  const best = {};
+  
+  for (const beatsPerBar of [4, 3]) {
+    best[beatsPerBar] = { beatsPerBar, firstDownbeat: 0, contrast: -Infinity };
+    
+    for (let first = 0; first < beatsPerBar; first++) {
+      let onSum = 0, onCount = 0, offSum = 0, offCount = 0;
+      
+      for (let i = 0; i < values.length; i++) {
+        if ((i - first) % beatsPerBar === 0) {
+          onSum += values[i];
+          onCount++;
+        } else {
+          offSum += values[i];
+          offCount++;
+        }
+      }
+      
+      if (onCount === 0 || offCount === 0) continue;
+      
+      const contrast = (onSum / onCount - offSum / offCount) / spread;
+      if (contrast > best[beatsPerBar].contrast) {
+        best[beatsPerBar] = { beatsPerBar, firstDownbeat: first, contrast };
+      }
+    }
+  }
+  
+  // Prefer 4/4 unless 3/4 accents are clearly stronger
+  const four = best[4];
+  const three = best[3];
+  if (three.contrast > four.contrast + 1) {
+    return three;
+  }
+  return four;
+}
+
+/**
+ * Max value within +/- radius frames of index
+ */
+function peakAround(signal, index, radius) {
+  let max = 0;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(signal.length - 1, index + radius);
+  for (let i = start; i <= end; i++) {
+    if (signal[i] > max) max = signal[i];
+  }
+  return max;
+}
+
+/**
+ * Sum of values within +/- radius frames of index
+ */
+function sumAround(signal, index, radius) {
+  let sum = 0;
+  const start = Math.max(0, index - radius);
+  const end = Math.min(signal.length - 1, index + radius);
+  for (let i = start; i <= end; i++) {
+    sum += signal[i];
+  }
+  return sum;
+}
+
+/**
+ * Copy of a signal scaled to 0-1
+ */
+function normalizedCopy(signal) {
+  const copy = Float32Array.from(signal);
+  normalizeArray(copy);
+  return copy;
+}
+
+/**
+ * Round a time in seconds to milliseconds (keeps track JSON compact)
+ */
+function roundTime(t) {
+  return Math.round(t * 1000) / 1000;
+}
+
 /**
  * Decode audio file to AudioBuffer
  * @param {ArrayBuffer} arrayBuffer - Raw file data
@@ -519,6 +2152,15 @@ export async function decodeAudio(arrayBuffer) {
   }
 }
 
+/**
+ * Build the multi-resolution waveform pyramid (see waveform-pyramid.js)
+ * @param {AudioBuffer} audioBuffer
+ * @returns {Object} Pyramid for getWaveformColumns
+ */
+export function generateWaveformPyramid(audioBuffer) {
+  return buildWaveformPyramid(getMono(audioBuffer), audioBuffer.sampleRate);
+}
+
 /**
  * Generate waveform data for visualization
  * @param {AudioBuffer} audioBuffer 
@@ -0,0 +1,22 @@
+/**
+ * Audio Analyzer Worker - Runs analyzeChannelData off the main thread
+ * 
+ * Spawned by analyzeAudioInWorker. Receives { channelData, sampleRate, options },
+ * posts { type: 'progress', progress } while working and finishes with
+ * { type: 'result', result } or { type: 'error', message }.
+ */
+
+import { analyzeChannelData } from './audio-analyzer.js';
+
+self.onmessage = (e) => {
+  const { channelData, sampleRate, options } = e.data;
+  
+  try {
+    const result = analyzeChannelData(channelData, sampleRate, (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    }, options);
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
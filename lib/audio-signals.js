@@ -2,32 +2,100 @@
  * Audio Signals - Playback synchronization library for sketches
  * 
  * Provides real-time access to pre-analyzed audio signals during playback.
- * Signals include beats, frequency bands, energy, and custom automations.
+ * Signals include beats, frequency bands, energy, chroma, pitch, beat grid position,
+ * song sections, silence/fades/track boundaries, and custom automations.
+ * Track data of any version is migrated to the current schema on load.
+ * 
+ * A live input (microphone, line-in, media element) can stand in for a track:
+ * startLiveInput analyses it as it plays and fills trackData with the bands,
+ * energy, beats and BPM found so far, so the same calls work for both.
+ * 
+ * Beats, chord changes, sections, track boundaries and the end of playback are
+ * events (see on). A lookahead scheduler on its own timer walks the track ahead
+ * of the playhead, so each event is delivered once, with its track time and the
+ * matching audio clock time, however irregularly getCurrentSignals is called.
+ * 
+ * For frame-accurate rendering, setManualClock hands the clock to the host:
+ * time only moves on advance(dt) or setTime(t), nothing is played, and every
+ * signal, beat flag, event and envelope is evaluated at exactly those times.
  */
 
+import { migrateTrack, TRACK_SCHEMA_VERSION } from './track-schema.js';
+import { StreamingAnalyzer } from './streaming-analyzer.js';
+import { sampleCurve, findEventIndex, getEventCursor } from './signal-sampling.js';
+import { SignalEnvelope } from './signal-envelope.js';
+import { getRangeValue } from './spectrogram.js';
+
+const SCHEDULER_INTERVAL = 25; // Scheduler timer period (ms)
+const SCHEDULE_AHEAD = 0.1; // How far past the playhead the scheduler looks (s of real time)
+const PITCH_SHIFT_LATENCY = 0.025; // Average delay of pitch-shift.worklet.js (half its window, s)
+
+const chromaCurves = new WeakMap(); // chroma.frames -> one curve per pitch class (see getChromaAt)
+
+// Event types and the single-listener callback property (with its arguments) each one also calls
+const CALLBACK_PROPERTIES = {
+  beat: ['onBeat', (event) => [event.time, event.velocity]],
+  kick: ['onKick', (event) => [event.time, event.velocity]],
+  snare: ['onSnare', (event) => [event.time, event.velocity]],
+  hihat: ['onHihat', (event) => [event.time, event.velocity]],
+  chordChange: ['onChordChange', (event) => [event.time]],
+  section: ['onSection', (event) => [event.section, event.sectionIndex, event.time]],
+  boundary: ['onBoundary', (event) => [event.boundary, event.trackIndex, event.time]],
+  end: ['onEnd', () => []]
+};
+const BEAT_EVENTS = { all: 'beat', kicks: 'kick', snares: 'snare', hihats: 'hihat' };
+
 export class AudioSignals {
   constructor() {
     this.audioContext = null;
     this.audioBuffer = null;
     this.sourceNode = null;
     this.gainNode = null;
+    this.pitchNode = null; // Keeps the pitch of real audio at playback rates other than 1 (see pitch-shift.worklet.js)
+    this.pitchShifting = false; // Whether the playing source goes through pitchNode
+    this.streamDestination = null; // Copy of the output for recording (see getOutputStream)
     
     this.trackData = null;
     this.audioUrl = null;
     
     this.playing = false;
-    this.startTime = 0;
+    this.startTime = 0; // Clock time at which the track would have been at 0 at the current rate
     this.pauseTime = 0;
+    this.playbackRate = 1;
+    
+    // Loop region (null = no loop) - { start, end } in seconds
+    this.loop = null;
+    this.lastSignalTime = 0; // Time of the previous getCurrentSignals call, to notice loop wraps
+    
+    // Live input (null when playing tracks) - { analyzer, sourceNode, workletNode, stream, analyserNode }
+    this.live = null;
+    this.mediaElementSources = new WeakMap(); // An element can only be wrapped once per context
+    
+    // Manual clock (null when audio or real time drives playback) - { position, clock, step, ended }
+    this.manual = null;
+    
+    // Beat tracking (for the beat/kick/... flags of getCurrentSignals)
+    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1, chordChanges: -1 };
+    this.beatWindow = 0.05; // 50ms window for beat detection (real time - scaled by the playback rate)
+    
+    // How curves are read between analysis frames: 'step', 'linear' or 'cubic' (see signal-sampling.js)
+    this.interpolation = 'linear';
     
-    // Beat tracking
-    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1 };
-    this.beatWindow = 0.05; // 50ms window for beat detection
+    // Envelope/smoothing state of each signal track (see signal-envelope.js)
+    this.trackEnvelopes = new WeakMap(); // signal track -> SignalEnvelope
     
-    // Callbacks
-    this.onBeat = null;
-    this.onKick = null;
-    this.onSnare = null;
-    this.onHihat = null;
+    // Event listeners by type - [{ listener, lookahead }] - and the scheduler feeding them while playing
+    this.listeners = {};
+    this.scheduler = null; // { timer, scheduledUntil, pending }
+    
+    // Single-listener callbacks, called with the on() listeners
+    this.onBeat = null; // (time, velocity)
+    this.onKick = null; // (time, velocity)
+    this.onSnare = null; // (time, velocity)
+    this.onHihat = null; // (time, velocity)
+    this.onSection = null; // (section, index, time)
+    this.onChordChange = null; // (time)
+    this.onBoundary = null; // (boundary, trackIndex, time)
     this.onEnd = null;
   }
   
@@ -37,21 +105,30 @@ export class AudioSignals {
    * @param {string} audioUrl - URL to the audio file (MP3)
    */
   async loadTrack(trackUrl, audioUrl) {
+    this.stopLiveInput();
+    const manual = this.manual !== null;
+    this.manual = null;
+    
     // Load track data
     const response = await fetch(trackUrl);
     if (!response.ok) {
       throw new Error(`Failed to load track: ${response.statusText}`);
     }
-    this.trackData = await response.json();
+    this.trackData = migrateTrack(await response.json());
     
     // Store audio URL for later loading
     this.audioUrl = audioUrl;
     
     // Reset state
-    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1 };
+    this.stopScheduler();
+    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1, chordChanges: -1 };
+    this.loop = null;
     this.playing = false;
     this.startTime = 0;
     this.pauseTime = 0;
+    
+    // The manual clock survives loading, restarting at 0
+    if (manual) this.setManualClock(true);
   }
   
   /**
@@ -60,12 +137,13 @@ export class AudioSignals {
    * @param {string} audioUrl - URL to the audio file (optional - if not provided, uses simulated playback)
    */
   async loadTrackData(trackData, audioUrl = null) {
-    // Stop any current playback
+    // Stop any current playback (or live input or manual clock)
+    const manual = this.manual !== null;
     if (this.playing) {
       this.stop();
     }
     
-    this.trackData = trackData;
+    this.trackData = migrateTrack(trackData);
     
     // Clear old audio buffer if URL changed
     if (audioUrl && this.audioUrl !== audioUrl) {
@@ -74,7 +152,8 @@ export class AudioSignals {
     this.audioUrl = audioUrl;
     
     // Reset state
-    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1 };
+    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1, chordChanges: -1 };
+    this.loop = null;
     this.playing = false;
     this.startTime = 0;
     this.pauseTime = 0;
@@ -85,6 +164,9 @@ export class AudioSignals {
       clearInterval(this._simulatedInterval);
       this._simulatedInterval = null;
     }
+    
+    // The manual clock survives loading, restarting at 0
+    if (manual) this.setManualClock(true);
   }
   
   /**
@@ -127,21 +209,208 @@ export class AudioSignals {
     }
   }
   
+  /**
+   * Load the pitch shifter real audio goes through at rates other than 1
+   * Where AudioWorklet is unavailable (older browsers, insecure origins) playback
+   * goes on without it, and the pitch follows the rate.
+   */
+  async loadPitchShifter() {
+    if (this.pitchNode || this._pitchShifterFailed) return;
+    
+    try {
+      await this.audioContext.audioWorklet.addModule(new URL('./pitch-shift.worklet.js', import.meta.url));
+      if (!this.pitchNode) {
+        this.pitchNode = new AudioWorkletNode(this.audioContext, 'pitch-shift');
+        this.pitchNode.connect(this.gainNode);
+      }
+    } catch (e) {
+      console.warn('Pitch correction unavailable - pitch follows the playback rate:', e);
+      this._pitchShifterFailed = true;
+    }
+  }
+  
+  /**
+   * Route the playing source to the output: through the pitch shifter at rates
+   * other than 1 (when it loaded), straight to the gain node otherwise
+   */
+  connectSource() {
+    const shift = this.playbackRate !== 1 && this.pitchNode !== null;
+    this.sourceNode.disconnect();
+    this.sourceNode.connect(shift ? this.pitchNode : this.gainNode);
+    if (shift) {
+      this.pitchNode.parameters.get('pitchRatio').value = 1 / this.playbackRate;
+    }
+    this.pitchShifting = shift;
+  }
+  
+  /**
+   * Real time by which the heard audio trails the source (the pitch shifter's delay)
+   */
+  getPitchLatency() {
+    return this.sourceNode && this.pitchShifting ? PITCH_SHIFT_LATENCY : 0;
+  }
+  
+  /**
+   * Switch to live input: analyse a microphone, line-in or media element as it plays
+   * trackData becomes a track that grows as the input is analysed (bands, energy,
+   * onset flux, beats with velocities, BPM estimate), and the current time trails
+   * the input by the analysis latency, so getCurrentSignals, the beat events
+   * and DebugControls bindings behave as they do for a loaded track. Events are
+   * delivered once analysed, so their `when` lies in the past.
+   * Ends with stop(), pause() or loading a track.
+   * @param {MediaStream|HTMLMediaElement|null} source - Input to analyse (null asks for the microphone)
+   * @param {Object} config
+   * @param {boolean} config.monitor - Play the input through the speakers (default: only for media elements)
+   * @param {Object} config.options - Analysis options (bands, drumRanges, peakThresholds, ... - see audio-analyzer.js)
+   * @param {number} config.lookahead - Peak-picking lookahead in onset frames (see StreamingAnalyzer)
+   * @param {number} config.normalizationTime - Decay time of the live level normalisation (s)
+   */
+  async startLiveInput(source = null, { monitor = null, options = {}, lookahead = 1, normalizationTime = 10 } = {}) {
+    this.stop();
+    
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+    
+    // Voice-call processing (echo cancellation, noise suppression, AGC) flattens drums
+    const ownsStream = !source;
+    const input = source || await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      video: false
+    });
+    const isElement = typeof HTMLMediaElement !== 'undefined' && input instanceof HTMLMediaElement;
+    
+    let sourceNode;
+    if (isElement) {
+      sourceNode = this.mediaElementSources.get(input);
+      if (!sourceNode) {
+        sourceNode = this.audioContext.createMediaElementSource(input);
+        this.mediaElementSources.set(input, sourceNode);
+      }
+    } else {
+      sourceNode = this.audioContext.createMediaStreamSource(input);
+    }
+    
+    if (!this._liveWorkletLoaded) {
+      await this.audioContext.audioWorklet.addModule(new URL('./live-input.worklet.js', import.meta.url));
+      this._liveWorkletLoaded = true;
+    }
+    const workletNode = new AudioWorkletNode(this.audioContext, 'live-input');
+    sourceNode.connect(workletNode);
+    workletNode.connect(this.audioContext.destination); // Silent, but keeps the worklet running
+    
+    if (monitor ?? isElement) {
+      if (!this.gainNode) {
+        this.gainNode = this.audioContext.createGain();
+        this.gainNode.connect(this.audioContext.destination);
+      }
+      sourceNode.connect(this.gainNode);
+    }
+    
+    const analyzer = new StreamingAnalyzer(this.audioContext.sampleRate, { options, lookahead, normalizationTime });
+    const track = createLiveTrack(analyzer.settings);
+    
+    analyzer.onFrame = ({ frequency, energy, onset }) => {
+      for (const [band, value] of Object.entries(frequency)) {
+        track.frequency[band].push(value);
+      }
+      track.energy.push(energy);
+      track.spectral.flux.push(onset);
+      track.duration = analyzer.time;
+    };
+    const addHit = (type) => (time, velocity) => {
+      track.beats[type].push(time);
+      track.beatVelocities[type].push(velocity);
+    };
+    analyzer.onKick = addHit('kicks');
+    analyzer.onSnare = addHit('snares');
+    analyzer.onHihat = addHit('hihats');
+    analyzer.onBeat = (time, velocity) => {
+      addHit('all')(time, velocity);
+      track.bpm = analyzer.bpm;
+    };
+    workletNode.port.onmessage = (e) => analyzer.process(e.data);
+    
+    this.trackData = track;
+    this.audioUrl = null;
+    this.loop = null;
+    this.live = { analyzer, sourceNode, workletNode, stream: ownsStream ? input : null, analyserNode: null };
+    this.lastBeatIndex = { all: -1, kicks: -1, snares: -1, hihats: -1, chordChanges: -1 };
+    this.pauseTime = 0;
+    this.playing = true;
+    this.startScheduler();
+  }
+  
+  /**
+   * End live input (keeps the analysed trackData)
+   * Microphone streams opened by startLiveInput are closed; streams and elements
+   * passed in are left to the caller.
+   */
+  stopLiveInput() {
+    if (!this.live) return;
+    
+    const { analyzer, sourceNode, workletNode, stream } = this.live;
+    workletNode.port.onmessage = null;
+    sourceNode.disconnect();
+    workletNode.disconnect();
+    stream?.getTracks().forEach(track => track.stop());
+    
+    this.stopScheduler();
+    this.pauseTime = Math.max(0, analyzer.time - analyzer.latency);
+    this.live = null;
+    this.playing = false;
+  }
+  
+  /**
+   * AnalyserNode on the live input, for spectrum views and custom frequency ranges
+   * (live tracks have no spectrogram). Created on first call and disconnected with
+   * the input; it reads the input as it arrives, ahead of the signals by the
+   * analysis latency.
+   * @param {Object} options - fftSize and smoothingTimeConstant (used when creating it)
+   * @returns {AnalyserNode|null} null without live input
+   */
+  getLiveAnalyser({ fftSize = 256, smoothingTimeConstant = 0.4 } = {}) {
+    if (!this.live) return null;
+    if (!this.live.analyserNode) {
+      const analyserNode = this.audioContext.createAnalyser();
+      analyserNode.fftSize = fftSize;
+      analyserNode.smoothingTimeConstant = smoothingTimeConstant;
+      this.live.sourceNode.connect(analyserNode);
+      this.live.analyserNode = analyserNode;
+    }
+    return this.live.analyserNode;
+  }
+  
+  /**
+   * Check if live input is active
+   * @returns {boolean}
+   */
+  isLive() {
+    return this.live !== null;
+  }
+  
   /**
    * Start playback
    * @param {number} offset - Start position in seconds (optional)
    */
   async play(offset = null) {
+    // Live input is always playing, and the manual clock moves only when told to
+    if (this.live || this.manual) return;
+    
     // If no audio URL, use simulated playback mode
     if (!this.audioUrl) {
       if (!this.trackData) {
         throw new Error('No track data loaded. Call loadTrack or loadTrackData first.');
       }
       // Start simulated playback
-      const startOffset = offset !== null ? offset : this.pauseTime;
-      this._simulatedStartTime = performance.now() - startOffset * 1000;
+      const startOffset = this.getLoopedOffset(offset !== null ? offset : this.pauseTime);
+      this._simulatedStartTime = performance.now() - (startOffset / this.playbackRate) * 1000;
       this.playing = true;
       this.resetBeatTracking(startOffset);
+      this.startScheduler();
       
       // Start simulated playback loop
       this._startSimulatedPlayback();
@@ -149,6 +418,9 @@ export class AudioSignals {
     }
     
     await this.initAudio();
+    if (this.playbackRate !== 1) {
+      await this.loadPitchShifter();
+    }
     
     // Stop any existing playback
     if (this.sourceNode) {
@@ -159,30 +431,36 @@ export class AudioSignals {
     // Create new source
     this.sourceNode = this.audioContext.createBufferSource();
     this.sourceNode.buffer = this.audioBuffer;
-    this.sourceNode.connect(this.gainNode);
+    this.sourceNode.playbackRate.value = this.playbackRate;
+    this.connectSource();
+    this.applyLoop();
     
     // Handle end of playback
     this.sourceNode.onended = () => {
       if (this.playing) {
+        this.runScheduler(); // Deliver the last events before 'end'
+        this.stopScheduler();
         this.playing = false;
-        if (this.onEnd) this.onEnd();
+        this.dispatch({ type: 'end', time: this.getDuration(), when: this.audioContext.currentTime }, false);
       }
     };
     
     // Calculate start position
-    const startOffset = offset !== null ? offset : this.pauseTime;
+    const startOffset = this.getLoopedOffset(offset !== null ? offset : this.pauseTime);
     
     // Start playback
     this.sourceNode.start(0, startOffset);
-    this.startTime = this.audioContext.currentTime - startOffset;
+    this.startTime = this.audioContext.currentTime - startOffset / this.playbackRate;
     this.playing = true;
     
     // Reset beat tracking from current position
     this.resetBeatTracking(startOffset);
+    this.startScheduler();
   }
   
   /**
    * Start simulated playback (no audio, just time-based)
+   * The end check polls getCurrentTime, so it follows the playback rate.
    */
   _startSimulatedPlayback() {
     if (this._simulatedInterval) {
@@ -198,11 +476,13 @@ export class AudioSignals {
       
       const currentTime = this.getCurrentTime();
       if (currentTime >= this.getDuration()) {
+        this.runScheduler(); // Deliver the last events before 'end'
+        this.stopScheduler();
         this.playing = false;
         this.pauseTime = 0;
         clearInterval(this._simulatedInterval);
         this._simulatedInterval = null;
-        if (this.onEnd) this.onEnd();
+        this.dispatch({ type: 'end', time: this.getDuration(), when: performance.now() / 1000 }, false);
       }
     }, 100);
   }
@@ -211,10 +491,19 @@ export class AudioSignals {
    * Pause playback
    */
   pause() {
+    if (this.live) {
+      this.stopLiveInput();
+      return;
+    }
+    if (this.manual) {
+      this.setManualClock(false);
+      return;
+    }
     if (!this.playing) return;
     
     this.pauseTime = this.getCurrentTime();
     this.playing = false;
+    this.stopScheduler();
     
     // Clean up real audio
     if (this.sourceNode) {
@@ -245,6 +534,11 @@ export class AudioSignals {
    * @param {number} time - Time in seconds
    */
   async seek(time) {
+    if (this.manual) {
+      this.setTime(time);
+      return;
+    }
+    
     const wasPlaying = this.playing;
     
     if (wasPlaying) {
@@ -260,6 +554,275 @@ export class AudioSignals {
     }
   }
   
+  /**
+   * Loop a region of the track (real audio and simulated playback)
+   * Playback that starts before the region plays into it and then repeats it;
+   * each wrap back to the start rewinds beat tracking like a seek.
+   * Playback already past the new region jumps to its start; that seek finishes
+   * after this returns, and a failure is logged rather than thrown.
+   * @param {number|null} start - Loop start in seconds (null clears the loop)
+   * @param {number} end - Loop end in seconds
+   * @param {string|null} snap - 'beat' or 'bar' to snap both ends to the beat grid
+   */
+  setLoop(start, end, snap = null) {
+    if (this.live) return;
+    
+    let loop = null;
+    if (start !== null && start !== undefined) {
+      const duration = this.getDuration();
+      let loopStart = Math.max(0, Math.min(start, end));
+      let loopEnd = Math.min(duration || Infinity, Math.max(start, end));
+      if (snap) {
+        loopStart = this.snapToGrid(loopStart, snap);
+        loopEnd = this.snapToGrid(loopEnd, snap);
+        // A region shorter than one grid step snaps to the step after its start
+        if (loopEnd <= loopStart) loopEnd = this.snapToGrid(loopStart, snap, 1);
+        loopEnd = Math.min(duration || Infinity, loopEnd);
+      }
+      if (!(loopEnd > loopStart)) {
+        throw new Error(`Loop end must be after its start (${loopStart}s - ${loopEnd}s)`);
+      }
+      loop = { start: loopStart, end: loopEnd };
+    }
+    
+    // Keep the clock continuous: re-anchor at the current (wrapped) position
+    const time = this.getCurrentTime();
+    this.loop = loop;
+    
+    if (!this.playing) {
+      this.pauseTime = this.getLoopedOffset(time);
+      return;
+    }
+    if (loop && time >= loop.end) {
+      this.seek(loop.start).catch(e => console.error('Error seeking into loop:', e));
+      return;
+    }
+    this.anchorClock(time);
+    this.applyLoop();
+  }
+  
+  /**
+   * Remove the loop region
+   */
+  clearLoop() {
+    this.setLoop(null);
+  }
+  
+  /**
+   * Get the loop region
+   * @returns {{start: number, end: number}|null}
+   */
+  getLoop() {
+    return this.loop ? { ...this.loop } : null;
+  }
+  
+  /**
+   * Snap a time to the beat grid
+   * Uses the analysed grid (beats, or downbeats for bars) and falls back to a
+   * 4/4 grid from the track BPM.
+   * @param {number} time - Time in seconds
+   * @param {string} unit - 'beat' or 'bar'
+   * @param {number} direction - 0 for the nearest grid line, 1 for the first one after time
+   * @returns {number} Snapped time in seconds
+   */
+  snapToGrid(time, unit = 'beat', direction = 0) {
+    const grid = this.trackData?.beatGrid;
+    const lines = unit === 'bar' ? grid?.downbeats : grid?.beats;
+    
+    if (lines?.length >= 2) {
+      const index = this.findBeatIndex(lines, time);
+      if (direction > 0) {
+        if (index + 1 < lines.length) return lines[index + 1];
+        const step = lines[lines.length - 1] - lines[lines.length - 2];
+        return lines[lines.length - 1] + step * (Math.floor((time - lines[lines.length - 1]) / step) + 1);
+      }
+      if (index < 0) return lines[0];
+      if (index + 1 >= lines.length) return lines[index];
+      return time - lines[index] <= lines[index + 1] - time ? lines[index] : lines[index + 1];
+    }
+    
+    const step = (60 / (this.trackData?.bpm || 120)) * (unit === 'bar' ? 4 : 1);
+    return direction > 0
+      ? (Math.floor(time / step) + 1) * step
+      : Math.round(time / step) * step;
+  }
+  
+  /**
+   * Start offset for play: positions past the loop start over at the loop start
+   */
+  getLoopedOffset(offset) {
+    return this.loop && offset >= this.loop.end ? this.loop.start : offset;
+  }
+  
+  /**
+   * Apply the loop region to the playing source node
+   */
+  applyLoop() {
+    if (!this.sourceNode) return;
+    this.sourceNode.loop = this.loop !== null;
+    if (this.loop) {
+      this.sourceNode.loopStart = this.loop.start;
+      this.sourceNode.loopEnd = this.loop.end;
+    }
+  }
+  
+  /**
+   * Map a continuously running play time into the loop region
+   */
+  wrapLoopTime(time) {
+    const loop = this.loop;
+    if (!loop || time < loop.end) return time;
+    return loop.start + (time - loop.start) % (loop.end - loop.start);
+  }
+  
+  /**
+   * Set the playback speed (real audio and simulated playback)
+   * Track time - and with it every signal - runs at this rate. Real audio keeps
+   * its pitch: at rates other than 1 it is resampled and then pitch-shifted back,
+   * which sounds a little grainy and delays it by PITCH_SHIFT_LATENCY on average
+   * (the clock allows for the delay).
+   * @param {number} rate - Speed factor (1 = normal)
+   * @returns {Promise} Resolves once the rate applies (the pitch shifter may load first)
+   */
+  async setPlaybackRate(rate) {
+    if (!(rate > 0)) {
+      throw new Error(`Playback rate must be a positive number, got ${rate}`);
+    }
+    if (this.live) return;
+    if (rate !== 1 && this.sourceNode) {
+      await this.loadPitchShifter();
+    }
+    
+    // The source keeps its place; what is heard moves by the change in shifter delay
+    const time = this.getCurrentTime();
+    const position = this.getPlayPosition();
+    const latency = this.getPitchLatency() * this.playbackRate;
+    this.playbackRate = rate;
+    if (this.sourceNode) {
+      this.sourceNode.playbackRate.value = rate;
+      this.connectSource();
+    }
+    if (this.playing) {
+      this.anchorClock(time + latency - this.getPitchLatency() * rate, position);
+    }
+  }
+  
+  /**
+   * Get the playback speed
+   * @returns {number} Speed factor (1 = normal)
+   */
+  getPlaybackRate() {
+    return this.playbackRate;
+  }
+  
+  /**
+   * Re-anchor the running clock so it reads `time` now and advances at the playback rate
+   * @param {number} time - Track time (s)
+   * @param {number} position - Play position before the change (defaults to the current one)
+   */
+  anchorClock(time, position = this.getPlayPosition()) {
+    if (this.manual) {
+      this.manual.position = time;
+    } else if (this._simulatedStartTime !== undefined && this._simulatedStartTime !== null) {
+      this._simulatedStartTime = performance.now() - (time / this.playbackRate) * 1000;
+    } else if (this.audioContext) {
+      this.startTime = this.audioContext.currentTime - time / this.playbackRate - this.getPitchLatency();
+    }
+    
+    // Move what the scheduler has already seen along with the clock
+    if (this.scheduler) {
+      const shift = this.getPlayPosition() - position;
+      const clock = this.getClockTime();
+      this.scheduler.scheduledUntil += shift;
+      for (const entry of this.scheduler.pending) {
+        entry.position += shift;
+        entry.event.when = clock + (entry.position - this.getPlayPosition()) / this.playbackRate;
+      }
+    }
+  }
+  
+  /**
+   * Switch the manual clock on or off
+   * On, playback stops, no audio plays and time stands still until advance or setTime
+   * moves it - isPlaying() is true throughout, so sketches keep reading signals.
+   * Off (or pause/stop), the track is left paused at the manual time.
+   * @param {boolean} enabled
+   */
+  setManualClock(enabled = true) {
+    if (!enabled) {
+      if (!this.manual) return;
+      this.pauseTime = this.getCurrentTime();
+      this.manual = null;
+      this.playing = false;
+      this.stopScheduler();
+      return;
+    }
+    
+    const time = this.live ? 0 : this.getCurrentTime();
+    this.pause();
+    
+    this.manual = { position: time, clock: 0, step: 0, ended: false };
+    this.playing = true;
+    this.resetBeatTracking(time);
+    this.startScheduler();
+  }
+  
+  /**
+   * Check if the manual clock is on
+   * @returns {boolean}
+   */
+  isManualClock() {
+    return this.manual !== null;
+  }
+  
+  /**
+   * Move the manual clock forward by one frame
+   * Delivers every event the step passes (beat flags of the next getCurrentSignals
+   * cover the whole step). Track time moves by dt times the playback rate.
+   * @param {number} dt - Frame duration in seconds (e.g. 1 / 60)
+   */
+  advance(dt) {
+    if (!this.manual) {
+      throw new Error('advance() needs the manual clock - call setManualClock(true) first');
+    }
+    if (!(dt >= 0)) {
+      throw new Error(`dt must be a non-negative number, got ${dt}`);
+    }
+    
+    const manual = this.manual;
+    const duration = this.getDuration();
+    manual.clock += dt;
+    manual.position += dt * this.playbackRate;
+    manual.step = dt * this.playbackRate;
+    this.runScheduler();
+    
+    // Without a loop, time stops at the end of the track
+    if (this.manual === manual && !this.loop && duration > 0 && manual.position >= duration) {
+      manual.position = duration;
+      if (!manual.ended) {
+        manual.ended = true;
+        this.dispatch({ type: 'end', time: duration, when: manual.clock }, false);
+      }
+    }
+  }
+  
+  /**
+   * Jump the manual clock to a time (like seek - nothing in between fires)
+   * @param {number} time - Time in seconds
+   */
+  setTime(time) {
+    if (!this.manual) {
+      throw new Error('setTime() needs the manual clock - call setManualClock(true) first');
+    }
+    
+    const duration = this.getDuration();
+    this.manual.position = Math.max(0, Math.min(time, duration || Infinity));
+    this.manual.step = 0;
+    this.manual.ended = false;
+    this.resetBeatTracking(this.manual.position);
+    this.startScheduler();
+  }
+  
   /**
    * Set volume
    * @param {number} volume - Volume level (0-1)
@@ -270,28 +833,87 @@ export class AudioSignals {
     }
   }
   
+  /**
+   * The audio output as a MediaStream, e.g. to record it alongside a canvas
+   * Carries whatever plays (after the volume), from now until dispose.
+   * @returns {Promise<MediaStream|null>} null without an audio URL (simulated playback is silent)
+   */
+  async getOutputStream() {
+    if (!this.audioUrl) return null;
+    
+    await this.initAudio();
+    if (!this.streamDestination) {
+      this.streamDestination = this.audioContext.createMediaStreamDestination();
+      this.gainNode.connect(this.streamDestination);
+    }
+    return this.streamDestination.stream;
+  }
+  
   /**
    * Get current playback time
    * @returns {number} Time in seconds
    */
   getCurrentTime() {
+    // Live input: the latest moment every signal has been analysed up to
+    if (this.live) {
+      return Math.max(0, this.live.analyzer.time - this.live.analyzer.latency);
+    }
+    
     if (!this.playing) {
       return this.pauseTime || 0;
     }
     
+    // Audio started at 0 is heard a moment later when pitch-shifted
+    return Math.max(0, this.wrapLoopTime(this.getPlayPosition()));
+  }
+  
+  /**
+   * Beat flag window in track seconds: one frame step under the manual clock,
+   * otherwise beatWindow of real time
+   */
+  getBeatWindow() {
+    return this.manual ? this.manual.step : this.beatWindow * this.playbackRate;
+  }
+  
+  /**
+   * Position of the running clock in track seconds, before loop wrapping
+   * (keeps counting through loop repeats)
+   */
+  getPlayPosition() {
+    if (this.live) {
+      return this.getCurrentTime();
+    }
+    if (this.manual) {
+      return this.manual.position;
+    }
+    
     // Simulated playback mode (no audio)
     if (this._simulatedStartTime !== undefined && this._simulatedStartTime !== null) {
-      return (performance.now() - this._simulatedStartTime) / 1000;
+      return ((performance.now() - this._simulatedStartTime) / 1000) * this.playbackRate;
     }
     
-    // Real audio playback
+    // Real audio playback (as heard - behind the source while it is pitch-shifted)
     if (this.audioContext) {
-      return this.audioContext.currentTime - this.startTime;
+      return (this.audioContext.currentTime - this.startTime - this.getPitchLatency()) * this.playbackRate;
     }
     
     return this.pauseTime || 0;
   }
   
+  /**
+   * The clock event `when` times refer to: audioContext.currentTime, performance.now()
+   * in seconds during simulated playback, or the sum of advance steps under the manual clock
+   */
+  getClockTime() {
+    if (this.manual) {
+      return this.manual.clock;
+    }
+    if (this._simulatedStartTime !== undefined && this._simulatedStartTime !== null) {
+      return performance.now() / 1000;
+    }
+    return this.audioContext?.currentTime ?? performance.now() / 1000;
+  }
+  
   /**
    * Get track duration
    * @returns {number} Duration in seconds
@@ -316,6 +938,207 @@ export class AudioSignals {
     return this.trackData !== null;
   }
   
+  /**
+   * Listen for an event
+   * Types and their event fields (all events have type, time and when):
+   * - 'beat', 'kick', 'snare', 'hihat': velocity (0-1)
+   * - 'chordChange'
+   * - 'section': section, sectionIndex - on entering a section, and for the section playback starts in
+   * - 'boundary': boundary, trackIndex - on passing a track boundary of a set/album
+   * - 'end': playback reached the end of the track
+   * `time` is the track time of the event and `when` the matching audioContext.currentTime
+   * (performance.now() in seconds during simulated playback), for scheduling audio against.
+   * Each event is delivered once, when it is due. With lookahead, the listener gets it as
+   * soon as the scheduler sees it instead - up to SCHEDULE_AHEAD seconds before `when`.
+   * @param {string} type - Event type
+   * @param {Function} listener - (event)
+   * @param {Object} options
+   * @param {boolean} options.lookahead - Deliver events ahead of time
+   * @returns {Function} Removes the listener
+   */
+  on(type, listener, { lookahead = false } = {}) {
+    if (!CALLBACK_PROPERTIES[type]) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    const listeners = this.listeners[type] || [];
+    if (!listeners.some(entry => entry.listener === listener)) {
+      // Copy on write, so listeners added or removed during dispatch take effect from the next event
+      this.listeners[type] = [...listeners, { listener, lookahead }];
+    }
+    return () => this.off(type, listener);
+  }
+  
+  /**
+   * Stop listening for an event
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on
+   */
+  off(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(entry => entry.listener !== listener);
+    }
+  }
+  
+  /**
+   * Alias of on (options: { lookahead })
+   */
+  addEventListener(type, listener, options) {
+    this.on(type, listener, options);
+  }
+  
+  /**
+   * Alias of off
+   */
+  removeEventListener(type, listener) {
+    this.off(type, listener);
+  }
+  
+  /**
+   * Call the listeners of an event
+   * @param {Object} event - { type, time, when, ... }
+   * @param {boolean} early - Lookahead delivery (only lookahead listeners) or due delivery (the rest)
+   */
+  dispatch(event, early) {
+    for (const { listener, lookahead } of this.listeners[event.type] || []) {
+      if (lookahead === early) listener(event);
+    }
+    
+    const [property, getArgs] = CALLBACK_PROPERTIES[event.type];
+    if (!early && this[property]) {
+      this[property](...getArgs(event));
+    }
+  }
+  
+  /**
+   * Start delivering events from the current position
+   */
+  startScheduler() {
+    this.stopScheduler();
+    const position = this.getPlayPosition();
+    this.scheduler = {
+      // The manual clock runs the scheduler from advance() instead
+      timer: this.manual ? null : setInterval(() => this.runScheduler(), SCHEDULER_INTERVAL),
+      scheduledUntil: position, // Play position the track has been scanned up to
+      pending: [] // { position, event } seen but not yet due, in order
+    };
+    
+    // Announce the section playback starts in (one starting right here is found by the scan)
+    const time = this.getCurrentTime();
+    const { section, sectionIndex } = this.getSectionAt(time);
+    if (section && section.start < time) {
+      const event = { type: 'section', time, when: this.getClockTime(), section, sectionIndex };
+      this.dispatch(event, true);
+      this.scheduler.pending.push({ position, event });
+    }
+    
+    this.runScheduler();
+  }
+  
+  /**
+   * Stop delivering events (pending ones are dropped)
+   */
+  stopScheduler() {
+    if (!this.scheduler) return;
+    clearInterval(this.scheduler.timer);
+    this.scheduler = null;
+  }
+  
+  /**
+   * Scan the track up to SCHEDULE_AHEAD past the playhead and deliver the events that are due
+   * Live input is scanned only up to the playhead - later events aren't analysed yet.
+   */
+  runScheduler() {
+    const scheduler = this.scheduler;
+    if (!scheduler) return;
+    
+    const position = this.getPlayPosition();
+    const horizon = this.live ? position : position + SCHEDULE_AHEAD * this.playbackRate;
+    if (horizon > scheduler.scheduledUntil) {
+      const entries = this.collectEvents(scheduler.scheduledUntil, horizon, position);
+      scheduler.scheduledUntil = horizon;
+      for (const { event } of entries) {
+        this.dispatch(event, true);
+      }
+      scheduler.pending.push(...entries);
+    }
+    
+    // Listeners may stop playback, which ends this scheduler
+    while (this.scheduler === scheduler && scheduler.pending.length && scheduler.pending[0].position <= position) {
+      this.dispatch(scheduler.pending.shift().event, false);
+    }
+  }
+  
+  /**
+   * Events between two play positions (from inclusive, to exclusive)
+   * Past the end of a loop, each repeat of the region is scanned in turn.
+   * @param {number} from - Play position (s, before loop wrapping)
+   * @param {number} to - Play position (s, before loop wrapping)
+   * @param {number} position - Current play position, for the `when` times
+   * @returns {Array} [{ position, event }] in order
+   */
+  collectEvents(from, to, position) {
+    const clock = this.getClockTime();
+    const entries = [];
+    
+    let start = from;
+    while (start < to) {
+      // Play positions of this stretch map to track time minus offset
+      const loop = this.loop;
+      let offset = 0;
+      let end = loop && start < loop.end ? Math.min(to, loop.end) : to;
+      if (loop && start >= loop.end) {
+        const length = loop.end - loop.start;
+        const repeatStart = loop.end + Math.floor((start - loop.end) / length) * length;
+        offset = repeatStart - loop.start;
+        end = Math.min(to, repeatStart + length);
+      }
+      
+      for (const event of this.getEventsBetween(start - offset, end - offset)) {
+        const eventPosition = event.time + offset;
+        event.when = clock + (eventPosition - position) / this.playbackRate;
+        entries.push({ position: eventPosition, event });
+      }
+      start = end;
+    }
+    
+    return entries.sort((a, b) => a.position - b.position);
+  }
+  
+  /**
+   * Track events with from <= time < to (without `when`)
+   */
+  getEventsBetween(from, to) {
+    const { beats, beatVelocities, chordChanges, sections, boundaries } = this.trackData || {};
+    const events = [];
+    
+    const addTimes = (times, type, getFields) => {
+      if (!times?.length) return;
+      let i = this.findBeatIndex(times, from);
+      if (i < 0 || times[i] < from) i++;
+      for (; i < times.length && times[i] < to; i++) {
+        events.push({ type, time: times[i], ...getFields(i) });
+      }
+    };
+    for (const [key, type] of Object.entries(BEAT_EVENTS)) {
+      addTimes(beats?.[key], type, (i) => ({ velocity: beatVelocities?.[key]?.[i] ?? 1 }));
+    }
+    addTimes(chordChanges, 'chordChange', () => ({}));
+    
+    // Sections and boundaries are few - a linear scan is fine
+    sections?.forEach((section, sectionIndex) => {
+      if (section.start >= from && section.start < to) {
+        events.push({ type: 'section', time: section.start, section, sectionIndex });
+      }
+    });
+    boundaries?.forEach((boundary, i) => {
+      if (boundary.time >= from && boundary.time < to) {
+        events.push({ type: 'boundary', time: boundary.time, boundary, trackIndex: i + 1 });
+      }
+    });
+    
+    return events;
+  }
+  
   /**
    * Get current signal values
    * Call this in your animation loop.
@@ -326,39 +1149,80 @@ export class AudioSignals {
       return this.getDefaultSignals();
     }
     
+    // Deliver due events first, in case the scheduler timer is throttled
+    this.runScheduler();
+    
     const time = this.getCurrentTime();
-    const { frequency, energy, beats, automations } = this.trackData;
+    const { frequency, energy, beats, signalTracks } = this.trackData;
+    
+    // Wrapped back to the loop start - rewind beat tracking as for a seek
+    if (this.loop && time < this.lastSignalTime) {
+      this.resetBeatTracking(time);
+    }
+    this.lastSignalTime = time;
     
-    // Calculate sample index for frequency/energy data
+    // Frame rate of the frequency/energy data
     const sampleRate = frequency?.sampleRate || 30;
-    const sampleIndex = Math.floor(time * sampleRate);
     
     // Get frequency band values
-    const sub = this.getSampleValue(frequency?.sub, sampleIndex);
-    const bass = this.getSampleValue(frequency?.bass, sampleIndex);
-    const mid = this.getSampleValue(frequency?.mid, sampleIndex);
-    const high = this.getSampleValue(frequency?.high, sampleIndex);
+    const sub = this.sampleAt(frequency?.sub, sampleRate, time);
+    const bass = this.sampleAt(frequency?.bass, sampleRate, time);
+    const mid = this.sampleAt(frequency?.mid, sampleRate, time);
+    const high = this.sampleAt(frequency?.high, sampleRate, time);
     
     // Get energy value
-    const energyValue = this.getSampleValue(energy, sampleIndex);
+    const energyValue = this.sampleAt(energy, sampleRate, time);
+    
+    // Short-term loudness (LUFS)
+    const loudness = this.trackData.loudness;
+    const loudnessValue = loudness?.shortTerm?.length
+      ? this.sampleAt(loudness.shortTerm, loudness.sampleRate, time)
+      : -70;
+    
+    // Stereo balance and width (centred/mono when the track has no stereo data)
+    const stereo = this.trackData.stereo;
+    const stereoRate = stereo?.sampleRate || 30;
+    const pan = stereo ? this.sampleAt(stereo.pan, stereoRate, time) : 0.5;
+    const width = stereo ? this.sampleAt(stereo.width, stereoRate, time) : 0;
+    
+    // Melody pitch (value holds the last voiced note; f0 is 0 when unvoiced, so it isn't interpolated)
+    const pitch = this.trackData.pitch;
+    const pitchRate = pitch?.sampleRate || 30;
+    const pitchValue = pitch ? this.sampleAt(pitch.value, pitchRate, time) : 0;
+    const pitchHz = pitch ? sampleCurve(pitch.f0, pitchRate, time, 'step') : 0;
+    const pitchConfidence = pitch ? this.sampleAt(pitch.confidence, pitchRate, time) : 0;
     
-    // Check for beats (with callbacks)
+    // Check for beats (events are delivered by the scheduler)
     const beat = this.checkBeat(time, beats?.all, 'all');
     const kick = this.checkBeat(time, beats?.kicks, 'kicks');
     const snare = this.checkBeat(time, beats?.snares, 'snares');
     const hihat = this.checkBeat(time, beats?.hihats, 'hihats');
+    const chordChange = this.checkBeat(time, this.trackData.chordChanges, 'chordChanges');
     
-    // Fire callbacks
-    if (beat && this.onBeat) this.onBeat(time);
-    if (kick && this.onKick) this.onKick(time);
-    if (snare && this.onSnare) this.onSnare(time);
-    if (hihat && this.onHihat) this.onHihat(time);
+    // Velocity of the hit that just fired (0 when none did)
+    const beatVelocity = beat ? this.getBeatVelocity('all') : 0;
+    const kickVelocity = kick ? this.getBeatVelocity('kicks') : 0;
+    const snareVelocity = snare ? this.getBeatVelocity('snares') : 0;
+    const hihatVelocity = hihat ? this.getBeatVelocity('hihats') : 0;
+
+    
+    // Position in the beat grid
+    const { beatPhase, barPhase, barIndex, beatInBar } = this.getBeatPosition(time);
+    
+    // Current song section
+    const { section, sectionIndex, sectionProgress } = this.getSectionAt(time);
+    
+    // Silence and fades, and which track of a set/album is playing
+    const { silent, fadeLevel } = this.getLevelStateAt(time);
+    const trackIndex = this.getTrackIndexAt(time);
     
-    // Get automation values
+    // Signal track values through their envelopes (by name), and the automation tracks among them
+    const trackValues = {};
     const automationValues = {};
-    if (automations) {
-      for (const [name, automation] of Object.entries(automations)) {
-        automationValues[name] = this.interpolateAutomation(automation, time);
+    for (const track of signalTracks) {
+      trackValues[track.name] = this.getTrackValue(track, time);
+      if (track.type === 'automation') {
+        automationValues[track.name] = trackValues[track.name];
       }
     }
     
@@ -371,13 +1235,46 @@ export class AudioSignals {
       high,
       // Overall energy (0-1)
       energy: energyValue,
+      // Short-term loudness in LUFS (-70 = silence)
+      loudness: loudnessValue,
+      // Stereo: pan 0 = left, 0.5 = centre, 1 = right; width 0 = mono, 1 = wide
+      pan,
+      width,
+      // Melody: pitch 0-1 over the analysed note range, pitchHz 0 when unvoiced
+      pitch: pitchValue,
+      pitchHz,
+      pitchConfidence,
       // Beat triggers (true if beat just occurred)
       beat,
       kick,
       snare,
       hihat,
-      // BPM
-      bpm: this.trackData.bpm || 120,
+      // Hit strength of the triggers above (0-1)
+      beatVelocity,
+      kickVelocity,
+      snareVelocity,
+      hihatVelocity,
+      chordChange,
+      // Pitch class strengths C..B (0-1, loudest = 1)
+      chroma: this.getChromaAt(time),
+      // BPM (local tempo when the track has a tempo map)
+      bpm: this.getBpmAt(time),
+      // Beat grid position (phases 0-1, indices 0-based)
+      beatPhase,
+      barPhase,
+      barIndex,
+      beatInBar,
+      // Song section (label, 0-based index, progress 0-1)
+      section: section?.label || null,
+      sectionIndex,
+      sectionProgress,
+      // Silence and fades: fadeLevel ramps 0-1 through fade-ins, 1-0 through fade-outs, 0 when silent
+      silent,
+      fadeLevel,
+      // Index of the track within a set/album (boundaries passed so far)
+      trackIndex,
+      // Signal tracks (0-1, with their attack/hold/decay, gain and smoothing)
+      tracks: trackValues,
       // Custom automations
       automations: automationValues
     };
@@ -394,22 +1291,214 @@ export class AudioSignals {
       mid: 0,
       high: 0,
       energy: 0,
+      loudness: -70,
+      pan: 0.5,
+      width: 0,
+      pitch: 0,
+      pitchHz: 0,
+      pitchConfidence: 0,
       beat: false,
       kick: false,
       snare: false,
       hihat: false,
+      beatVelocity: 0,
+      kickVelocity: 0,
+      snareVelocity: 0,
+      hihatVelocity: 0,
+      chordChange: false,
+      chroma: new Array(12).fill(0),
       bpm: 120,
+      beatPhase: 0,
+      barPhase: 0,
+      barIndex: 0,
+      beatInBar: 0,
+      section: null,
+      sectionIndex: -1,
+      sectionProgress: 0,
+      silent: false,
+      fadeLevel: 1,
+      trackIndex: 0,
+      tracks: {},
       automations: {}
     };
   }
   
   /**
-   * Get value from sample array with bounds checking
+   * Get the tempo at a given time
+   * Uses the track's tempo map when present, otherwise the global BPM.
+   * @param {number} time - Time in seconds
+   * @returns {number} BPM
+   */
+  getBpmAt(time) {
+    const tempoMap = this.trackData?.tempoMap;
+    if (!tempoMap?.length) {
+      return this.trackData?.bpm || 120;
+    }
+    
+    // Tempo maps have a handful of segments - a linear scan is fine
+    let bpm = tempoMap[0][1];
+    for (const [segmentTime, segmentBpm] of tempoMap) {
+      if (segmentTime > time) break;
+      bpm = segmentBpm;
+    }
+    return bpm;
+  }
+  
+  /**
+   * Get the song section at a given time
+   * @param {number} time - Time in seconds
+   * @returns {{section: Object|null, sectionIndex: number, sectionProgress: number}}
+   */
+  getSectionAt(time) {
+    const sections = this.trackData?.sections;
+    if (sections?.length) {
+      // Sections are few - a linear scan is fine
+      for (let i = 0; i < sections.length; i++) {
+        const section = sections[i];
+        if (time >= section.start && time < section.end) {
+          const length = section.end - section.start;
+          return {
+            section,
+            sectionIndex: i,
+            sectionProgress: length > 0 ? (time - section.start) / length : 0
+          };
+        }
+      }
+    }
+    
+    return { section: null, sectionIndex: -1, sectionProgress: 0 };
+  }
+  
+  /**
+   * Get the silence/fade state at a given time
+   * @param {number} time - Time in seconds
+   * @returns {{silent: boolean, fadeLevel: number}}
+   */
+  getLevelStateAt(time) {
+    const { silence, fades } = this.trackData || {};
+    
+    if (silence?.some(region => time >= region.start && time < region.end)) {
+      return { silent: true, fadeLevel: 0 };
+    }
+    
+    const fade = fades?.find(f => time >= f.start && time < f.end);
+    if (fade) {
+      const progress = (time - fade.start) / (fade.end - fade.start);
+      return { silent: false, fadeLevel: fade.type === 'in' ? progress : 1 - progress };
+    }
+    
+    return { silent: false, fadeLevel: 1 };
+  }
+  
+  /**
+   * Number of track boundaries at or before a given time
+   * @param {number} time - Time in seconds
+   * @returns {number} 0 for the first track of a set/album
+   */
+  getTrackIndexAt(time) {
+    const boundaries = this.trackData?.boundaries;
+    if (!boundaries?.length) return 0;
+    
+    let index = 0;
+    while (index < boundaries.length && boundaries[index].time <= time) {
+      index++;
+    }
+    return index;
+  }
+  
+  /**
+   * Get the position in the beat grid at a given time
+   * Falls back to a 4/4 grid from the track BPM when no beat grid was analyzed.
+   * Before the first and after the last grid beat, the grid is extrapolated.
+   * @param {number} time - Time in seconds
+   * @returns {{beatPhase: number, barPhase: number, barIndex: number, beatInBar: number}}
+   */
+  getBeatPosition(time) {
+    const grid = this.trackData?.beatGrid;
+    const beats = grid?.beats;
+    
+    let beatIndex, beatPhase, beatsPerBar, firstDownbeat;
+    
+    if (beats?.length >= 2) {
+      beatsPerBar = grid.beatsPerBar || 4;
+      firstDownbeat = Math.max(0, beats.indexOf(grid.downbeats?.[0]));
+      
+      const last = beats.length - 1;
+      if (time < beats[0]) {
+        const beatPosition = (time - beats[0]) / (beats[1] - beats[0]);
+        beatIndex = Math.floor(beatPosition);
+        beatPhase = beatPosition - beatIndex;
+      } else if (time >= beats[last]) {
+        const beatPosition = (time - beats[last]) / (beats[last] - beats[last - 1]);
+        beatIndex = last + Math.floor(beatPosition);
+        beatPhase = beatPosition - Math.floor(beatPosition);
+      } else {
+        beatIndex = this.findBeatIndex(beats, time);
+        beatPhase = (time - beats[beatIndex]) / (beats[beatIndex + 1] - beats[beatIndex]);
+      }
+    } else {
+      // No grid - assume 4/4 from the start of the track
+      const beatPosition = Math.max(0, time) * (this.trackData?.bpm || 120) / 60;
+      beatsPerBar = 4;
+      firstDownbeat = 0;
+      beatIndex = Math.floor(beatPosition);
+      beatPhase = beatPosition - beatIndex;
+    }
+    
+    const beatsFromDownbeat = beatIndex - firstDownbeat;
+    const barIndex = Math.floor(beatsFromDownbeat / beatsPerBar);
+    const beatInBar = beatsFromDownbeat - barIndex * beatsPerBar;
+    
+    return {
+      beatPhase,
+      barPhase: (beatInBar + beatPhase) / beatsPerBar,
+      barIndex,
+      beatInBar
+    };
+  }
+  
+  /**
+   * Binary search for the last beat at or before time
+   * @returns {number} Index into beats (-1 if time is before the first beat)
    */
-  getSampleValue(array, index) {
-    if (!array || array.length === 0) return 0;
-    const clampedIndex = Math.max(0, Math.min(index, array.length - 1));
-    return array[clampedIndex] || 0;
+  findBeatIndex(beats, time) {
+    return findEventIndex(beats, time);
+  }
+  
+  /**
+   * Get the chroma vector at a given time
+   * @param {number} time - Time in seconds
+   * Each pitch class is interpolated between frames like the other curves.
+   * @returns {number[]} 12 pitch class values (new array - safe to modify)
+   */
+  getChromaAt(time) {
+    const chroma = this.trackData?.chroma;
+    if (!chroma?.frames?.length) return new Array(12).fill(0);
+    
+    let curves = chromaCurves.get(chroma.frames);
+    if (!curves) {
+      curves = Array.from({ length: 12 }, (_, pitch) => Float32Array.from(chroma.frames, frame => frame[pitch] || 0));
+      chromaCurves.set(chroma.frames, curves);
+    }
+    return curves.map(curve => this.sampleAt(curve, chroma.sampleRate || 30, time));
+  }
+  
+  /**
+   * Get a spectral descriptor at a given time
+   * @param {string} name - 'centroid', 'flatness', 'rolloff' or 'flux'
+   * @param {number} time - Time in seconds
+   * @returns {number} 0-1 (0 when the track has no such curve)
+   */
+  getSpectralAt(name, time) {
+    const spectral = this.trackData?.spectral;
+    return this.sampleAt(spectral?.[name], spectral?.sampleRate || 30, time);
+  }
+  
+  /**
+   * Read a curve at a time, interpolated as set by this.interpolation
+   */
+  sampleAt(curve, sampleRate, time) {
+    return sampleCurve(curve, sampleRate, time, this.interpolation);
   }
   
   /**
@@ -418,46 +1507,86 @@ export class AudioSignals {
   checkBeat(time, beatArray, type) {
     if (!beatArray || beatArray.length === 0) return false;
     
-    // Find beats within the window
-    const lastIndex = this.lastBeatIndex[type];
+    // Latest beat, if it is new and within the window - track time passes faster than frames at higher rates
+    const index = getEventCursor(beatArray).seek(time);
+    const beatWindow = this.getBeatWindow();
     
-    for (let i = lastIndex + 1; i < beatArray.length; i++) {
-      const beatTime = beatArray[i];
-      
-      if (beatTime > time + this.beatWindow) {
-        break;
-      }
-      
-      if (beatTime <= time && beatTime > time - this.beatWindow) {
-        this.lastBeatIndex[type] = i;
-        return true;
-      }
+    if (index > this.lastBeatIndex[type] && beatArray[index] > time - beatWindow) {
+      this.lastBeatIndex[type] = index;
+      return true;
     }
     
     return false;
   }
   
+  /**
+   * Velocity of the last beat checkBeat reported for a type
+   * Tracks analyzed before velocities existed report 1.
+   * @param {string} type - 'all', 'kicks', 'snares' or 'hihats'
+   * @returns {number} 0-1
+   */
+  getBeatVelocity(type) {
+    const velocities = this.trackData?.beatVelocities?.[type];
+    return velocities?.[this.lastBeatIndex[type]] ?? 1;
+  }
+  
   /**
    * Reset beat tracking for seek operations
    */
   resetBeatTracking(time) {
-    for (const type of ['all', 'kicks', 'snares', 'hihats']) {
-      const beats = this.trackData?.beats?.[type];
+    this.lastSignalTime = time;
+    const beatWindow = this.getBeatWindow();
+    
+    for (const type of ['all', 'kicks', 'snares', 'hihats', 'chordChanges']) {
+      const beats = type === 'chordChanges' ? this.trackData?.chordChanges : this.trackData?.beats?.[type];
       if (!beats) {
         this.lastBeatIndex[type] = -1;
         continue;
       }
       
-      // Find the last beat before current time
-      let index = -1;
-      for (let i = 0; i < beats.length; i++) {
-        if (beats[i] < time - this.beatWindow) {
-          index = i;
-        } else {
-          break;
-        }
+      // Last beat before the window, so beats within it still fire
+      this.lastBeatIndex[type] = findEventIndex(beats, time - beatWindow);
+    }
+  }
+  
+  /**
+   * Value of a signal track at a time, through its envelope
+   * Call once per frame per track - the envelope's filters carry state between calls.
+   * @param {Object} track - Entry of trackData.signalTracks
+   * @param {number} time - Time in seconds
+   * @returns {number} 0-1
+   */
+  getTrackValue(track, time) {
+    let envelope = this.trackEnvelopes.get(track);
+    if (!envelope) {
+      envelope = new SignalEnvelope(track);
+      this.trackEnvelopes.set(track, envelope);
+    }
+    envelope.configure(track);
+    
+    const trackData = this.trackData;
+    switch (track.type) {
+      case 'beat': {
+        const beats = trackData.beats?.[track.subtype] || [];
+        const velocities = trackData.beatVelocities?.[track.subtype];
+        return envelope.processEvents(beats, time, (i) => velocities?.[i] ?? 1);
       }
-      this.lastBeatIndex[type] = index;
+      case 'trigger': {
+        const triggers = track.triggers || [];
+        return envelope.processEvents(triggers, time, (i) => triggers[i].velocity, 'time');
+      }
+      case 'frequency': {
+        const level = track.subtype === 'custom'
+          ? (trackData.spectrogram ? getRangeValue(trackData.spectrogram, track.minHz || 20, track.maxHz || 20000, time, trackData.normalization, this.interpolation) : 0)
+          : this.sampleAt(trackData.frequency?.[track.subtype], trackData.frequency?.sampleRate || 30, time);
+        return envelope.processLevel(level, time);
+      }
+      case 'spectral':
+        return envelope.processLevel(this.getSpectralAt(track.subtype, time), time);
+      case 'automation':
+        return envelope.processLevel(this.interpolateAutomation(track, time), time);
+      default:
+        return 0;
     }
   }
   
@@ -471,10 +1600,7 @@ export class AudioSignals {
     if (points.length === 1) return points[0][1];
     
     // Find surrounding points
-    let i = 0;
-    while (i < points.length - 1 && points[i + 1][0] <= time) {
-      i++;
-    }
+    const i = Math.max(0, findEventIndex(points, time, 0));
     
     // Before first point
     if (time <= points[0][0]) return points[0][1];
@@ -510,6 +1636,12 @@ export class AudioSignals {
       name: this.trackData.name,
       duration: this.trackData.duration,
       bpm: this.trackData.bpm,
+      timeSignature: this.trackData.beatGrid?.timeSignature || [4, 4],
+      sections: this.trackData.sections || [],
+      boundaries: this.trackData.boundaries || [],
+      key: this.trackData.key || null,
+      loudness: this.trackData.loudness?.integrated ?? null,
+      normalization: this.trackData.normalization || { mode: 'peak' },
       beatCount: this.trackData.beats?.all?.length || 0
     };
   }
@@ -528,6 +1660,10 @@ export class AudioSignals {
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
+      this.gainNode = null;
+      this.pitchNode = null;
+      this._pitchShifterFailed = false;
+      this.streamDestination = null;
     }
     
     this.audioBuffer = null;
@@ -536,5 +1672,31 @@ export class AudioSignals {
   }
 }
 
+/**
+ * Empty track that live input analysis grows (frame curves and beats are appended)
+ * @param {Object} settings - Resolved analysis options of the StreamingAnalyzer
+ */
+function createLiveTrack(settings) {
+  const frequency = { sampleRate: settings.sampleRate };
+  for (const band of Object.keys(settings.bands)) {
+    frequency[band] = [];
+  }
+  
+  return {
+    analysisVersion: TRACK_SCHEMA_VERSION,
+    name: 'Live input',
+    live: true,
+    duration: 0,
+    bpm: 120,
+    beats: { all: [], kicks: [], snares: [], hihats: [] },
+    beatVelocities: { all: [], kicks: [], snares: [], hihats: [] },
+    frequency,
+    energy: [],
+    spectral: { sampleRate: settings.sampleRate, flux: [] },
+    analysisOptions: settings,
+    signalTracks: []
+  };
+}
+
 // Export singleton for convenience
 export const audioSignals = new AudioSignals();
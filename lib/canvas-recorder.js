@@ -0,0 +1,220 @@
+/**
+ * Canvas Recorder - WebM video of a sketch canvas with the song's audio
+ * 
+ * The canvas is captured with captureStream and the AudioSignals output joins
+ * it through a MediaStreamDestination, so one MediaRecorder writes picture and
+ * sound in sync. Recording runs in real time: the song plays through the
+ * chosen range while the sketch renders as usual, then playback pauses and the
+ * recording ends.
+ * 
+ * At a fixed resolution, every frame is scaled into a canvas of that height
+ * (keeping the sketch canvas's aspect ratio) and that canvas is captured. The
+ * copy runs in a requestAnimationFrame callback queued after the sketch's, while
+ * a WebGL drawing buffer still holds the frame.
+ */
+
+// Output heights (null keeps the canvas size)
+export const RECORD_RESOLUTIONS = {
+  canvas: null,
+  '720p': 720,
+  '1080p': 1080,
+  '2160p': 2160
+};
+
+// 'song' plays the whole track, 'loop' one pass of the loop region, 'manual' records until stop()
+export const RECORD_RANGES = ['song', 'loop', 'manual'];
+
+const FRAME_RATE = 60;
+const BITS_PER_PIXEL = 0.1; // Video bitrate per pixel per frame
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+export class CanvasRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to record
+   * @param {Object} options
+   * @param {AudioSignals} options.audioSignals - Plays the range and supplies the audio (optional for 'manual')
+   * @param {number} options.frameRate - Frames per second to capture
+   */
+  constructor(canvas, { audioSignals = null, frameRate = FRAME_RATE } = {}) {
+    this.canvas = canvas;
+    this.audioSignals = audioSignals;
+    this.frameRate = frameRate;
+    
+    // Current recording (null when idle) - { recorder, videoStream, copy, frame, end, loop }
+    this.session = null;
+  }
+  
+  /**
+   * Check if a recording is running
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.session !== null;
+  }
+  
+  /**
+   * Record a range of the song
+   * Resolves when the range has played or stop() is called.
+   * @param {Object} options
+   * @param {string} options.range - One of RECORD_RANGES
+   * @param {string} options.resolution - Key of RECORD_RESOLUTIONS
+   * @returns {Promise<Blob>} The WebM video
+   */
+  async record({ range = 'song', resolution = 'canvas' } = {}) {
+    if (this.session) {
+      throw new Error('Already recording');
+    }
+    if (!RECORD_RANGES.includes(range)) {
+      throw new Error(`Unknown range "${range}" (expected ${RECORD_RANGES.join(', ')})`);
+    }
+    if (!(resolution in RECORD_RESOLUTIONS)) {
+      throw new Error(`Unknown resolution "${resolution}" (expected ${Object.keys(RECORD_RESOLUTIONS).join(', ')})`);
+    }
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('This browser cannot record video (no MediaRecorder)');
+    }
+    
+    // Range to play, in track seconds
+    const signals = this.audioSignals;
+    let start = null;
+    let end = null;
+    if (range !== 'manual') {
+      if (!signals?.trackData) {
+        throw new Error('Load a song to record it');
+      }
+      if (signals.isLive() || signals.isManualClock()) {
+        throw new Error('Recording plays the song in real time - stop live input or the manual clock first');
+      }
+      const loop = signals.getLoop();
+      if (range === 'loop' && !loop) {
+        throw new Error('Set a loop region to record it');
+      }
+      start = range === 'loop' ? loop.start : 0;
+      end = range === 'loop' ? loop.end : signals.getDuration();
+    }
+    
+    // Picture, scaled when a fixed height is asked for
+    const height = RECORD_RESOLUTIONS[resolution];
+    const copy = height ? createCopyCanvas(this.canvas, height) : null;
+    const videoStream = (copy?.canvas || this.canvas).captureStream(this.frameRate);
+    
+    // Sound
+    const audioStream = signals ? await signals.getOutputStream() : null;
+    const stream = new MediaStream([
+      ...videoStream.getVideoTracks(),
+      ...(audioStream?.getAudioTracks() || [])
+    ]);
+    
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const { width: videoWidth, height: videoHeight } = copy?.canvas || this.canvas;
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(videoWidth * videoHeight * this.frameRate * BITS_PER_PIXEL)
+    });
+    
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    const done = new Promise((resolve, reject) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+      recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+    });
+    
+    const session = { recorder, videoStream, copy, frame: null, end, loop: null };
+    this.session = session;
+    
+    try {
+      // A song recording plays straight through, so a loop region is set aside until it ends
+      if (range !== 'manual') {
+        signals.pause();
+        if (range === 'song') {
+          session.loop = signals.getLoop();
+          signals.clearLoop();
+        }
+        await signals.seek(start);
+      }
+      
+      recorder.start();
+      if (range !== 'manual') {
+        await signals.play();
+      }
+    } catch (e) {
+      this.stop();
+      throw e;
+    }
+    if (this.session !== session) return done; // Stopped while playback started
+    
+    const tick = () => {
+      if (this.session !== session) return;
+      if (copy) copy.draw();
+      
+      // The end of the range is in unwrapped play positions, so one loop pass ends at loop.end
+      if (end !== null && (!signals.isPlaying() || signals.getPlayPosition() >= end)) {
+        this.stop();
+        return;
+      }
+      session.frame = requestAnimationFrame(tick);
+    };
+    session.frame = requestAnimationFrame(tick);
+    
+    return done;
+  }
+  
+  /**
+   * End the recording (the promise from record resolves with the video)
+   */
+  stop() {
+    const session = this.session;
+    if (!session) return;
+    this.session = null;
+    
+    cancelAnimationFrame(session.frame);
+    if (session.recorder.state !== 'inactive') {
+      session.recorder.stop();
+    }
+    // Only the canvas capture belongs to the recording - the audio stream is AudioSignals' own
+    for (const track of session.videoStream.getTracks()) {
+      track.stop();
+    }
+    
+    if (session.end !== null) {
+      this.audioSignals.pause();
+      if (session.loop) {
+        this.audioSignals.setLoop(session.loop.start, session.loop.end);
+      }
+    }
+  }
+}
+
+/**
+ * Save a recording as a file download
+ * @param {Blob} blob - From CanvasRecorder.record
+ * @param {string} name - File name without extension
+ */
+export function downloadRecording(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.webm`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Canvas of a given height, with the source's aspect ratio, that frames are scaled into
+ * Encoders want even dimensions.
+ */
+function createCopyCanvas(source, height) {
+  const canvas = document.createElement('canvas');
+  canvas.height = height;
+  canvas.width = Math.round(height * source.width / source.height / 2) * 2;
+  const ctx = canvas.getContext('2d');
+  
+  return {
+    canvas,
+    draw() {
+      ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+  };
+}
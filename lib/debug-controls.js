@@ -19,6 +19,13 @@
  * }
  */
 
+import { getRangeValue } from './spectrogram.js';
+import { migrateTrack } from './track-schema.js';
+import { sampleCurve, findEventIndex, getRecentEvents } from './signal-sampling.js';
+import { SignalEnvelope } from './signal-envelope.js';
+
+const REWIND_WINDOW = 0.05; // After a seek back or loop wrap, events this recent still fire (s)
+
 export class DebugControls {
   constructor(schema, options = {}) {
     this.schema = schema;
@@ -30,15 +37,19 @@ export class DebugControls {
     this.trackData = null;
     this.onChange = options.onChange || null;
     this.storageKey = options.storageKey || 'debugControlsState';
+    this.interpolation = options.interpolation || 'linear'; // How bound curves are read between frames (see signal-sampling.js)
     
     // Track trigger states for edge detection
-    this._triggerStates = {}; // controlName -> { lastValue, lastTriggerTime }
+    this._triggerStates = {}; // controlName -> { lastValue, lastTriggerTime, lastEventIndex, lastTime }
+    
+    // Envelope/smoothing state of each binding (see signal-envelope.js)
+    this._envelopes = new WeakMap(); // binding -> SignalEnvelope
     
     // Initialize default values
     for (const [name, config] of Object.entries(schema)) {
       this.values[name] = config.default;
       if (config.type === 'trigger') {
-        this._triggerStates[name] = { lastValue: 0, lastTriggerTime: -Infinity };
+        this._triggerStates[name] = { lastValue: 0, lastTriggerTime: -Infinity, lastEventIndex: -1, lastTime: -Infinity };
       }
     }
     
@@ -458,13 +469,16 @@ export class DebugControls {
    */
   getAvailableSignals() {
     const signals = [];
-    const trackData = this.trackData || this.audioSignals?.trackData;
+    const trackData = this.getTrackData();
     
     if (!trackData) return signals;
     
     const colors = {
       beat: '#ff6b35',
       frequency: '#a855f7',
+      spectral: '#00ff88',
+      stereo: '#f472b6',
+      pitch: '#38bdf8',
       automation: '#00d4ff',
       trigger: '#fbbf24'
     };
@@ -495,6 +509,42 @@ export class DebugControls {
       }
     }
     
+    // Add built-in spectral descriptors
+    if (trackData.spectral) {
+      for (const descriptor of ['centroid', 'flatness', 'rolloff', 'flux']) {
+        if (trackData.spectral[descriptor]) {
+          signals.push({
+            name: `Spectral: ${descriptor}`,
+            type: 'spectral',
+            color: colors.spectral,
+            config: { type: 'spectral', subtype: descriptor }
+          });
+        }
+      }
+    }
+    
+    // Add built-in stereo signals
+    if (trackData.stereo) {
+      for (const field of ['pan', 'width']) {
+        signals.push({
+          name: `Stereo: ${field}`,
+          type: 'stereo',
+          color: colors.stereo,
+          config: { type: 'stereo', subtype: field }
+        });
+      }
+    }
+    
+    // Add built-in melody pitch
+    if (trackData.pitch) {
+      signals.push({
+        name: 'Pitch',
+        type: 'pitch',
+        color: colors.pitch,
+        config: { type: 'pitch', subtype: 'value' }
+      });
+    }
+    
     // Add built-in beat types
     if (trackData.beats) {
       for (const beatType of ['all', 'kicks', 'snares', 'hihats']) {
@@ -513,10 +563,18 @@ export class DebugControls {
   }
   
   /**
-   * Set the track data for signal binding
+   * Set the track data for signal binding (migrated to the current schema)
    */
   setTrackData(trackData) {
-    this.trackData = trackData;
+    this.trackData = trackData ? migrateTrack(trackData) : null;
+  }
+  
+  /**
+   * Track data bindings are evaluated against: the one set with setTrackData,
+   * otherwise whatever the linked AudioSignals has loaded (including live input)
+   */
+  getTrackData() {
+    return this.trackData || this.audioSignals?.trackData || null;
   }
   
   /**
@@ -530,7 +588,7 @@ export class DebugControls {
     const binding = this.bindings[name];
     const config = this.schema[name];
     
-    if (binding && this.trackData) {
+    if (binding && this.getTrackData()) {
       const signalValue = this.evaluateSignal(binding, time);
       
       // Map 0-1 signal to control's range
@@ -562,50 +620,116 @@ export class DebugControls {
   
   /**
    * Evaluate a signal binding at the given time
+   * The bound signal's attack/hold/decay, gain and smoothing are applied, as in
+   * the Song Manager preview and AudioSignals.
    */
   evaluateSignal(binding, time) {
     const { signalConfig } = binding;
-    const trackData = this.trackData;
+    const trackData = this.getTrackData();
     
     if (!trackData || !signalConfig) return 0;
     
+    let envelope = this._envelopes.get(binding);
+    if (!envelope) {
+      envelope = new SignalEnvelope(signalConfig);
+      this._envelopes.set(binding, envelope);
+    }
+    envelope.configure(signalConfig);
+    
     if (signalConfig.type === 'beat') {
       const beats = trackData.beats?.[signalConfig.subtype] || [];
-      const decay = signalConfig.decay || 0.1;
-      let value = 0;
-      for (const bt of beats) {
-        if (bt <= time && bt > time - decay) {
-          value = Math.max(value, 1 - (time - bt) / decay);
-        }
-      }
-      return value;
+      const velocities = trackData.beatVelocities?.[signalConfig.subtype];
+      return envelope.processEvents(beats, time, (i) => velocities?.[i] ?? 1);
+    }
+    
+    if (signalConfig.type === 'trigger') {
+      const triggers = signalConfig.triggers || [];
+      return envelope.processEvents(triggers, time, (i) => triggers[i].velocity, 'time');
+    }
+    
+    return envelope.processLevel(this.getSignalLevel(signalConfig, trackData, time), time);
+  }
+  
+  /**
+   * Raw level of a continuous signal (before its envelope and gain)
+   */
+  getSignalLevel(signalConfig, trackData, time) {
+    if (signalConfig.type === 'frequency' && signalConfig.subtype === 'custom') {
+      if (!trackData.spectrogram) return 0;
+      return getRangeValue(trackData.spectrogram, signalConfig.minHz || 20, signalConfig.maxHz || 20000, time, trackData.normalization, this.interpolation);
     }
     
     if (signalConfig.type === 'frequency') {
       const freq = trackData.frequency?.[signalConfig.subtype];
       if (!freq) return 0;
       const sampleRate = trackData.frequency.sampleRate || 30;
-      const idx = Math.floor(time * sampleRate);
-      const gain = signalConfig.gain || 1;
-      return Math.min(1, (freq[Math.min(idx, freq.length - 1)] || 0) * gain);
+      return sampleCurve(freq, sampleRate, time, this.interpolation);
+    }
+    
+    if (signalConfig.type === 'spectral') {
+      const curve = trackData.spectral?.[signalConfig.subtype];
+      if (!curve) return 0;
+      const sampleRate = trackData.spectral.sampleRate || 30;
+      return sampleCurve(curve, sampleRate, time, this.interpolation);
+    }
+    
+    if (signalConfig.type === 'stereo') {
+      const curve = trackData.stereo?.[signalConfig.subtype];
+      if (!curve) return signalConfig.subtype === 'pan' ? 0.5 : 0;
+      const sampleRate = trackData.stereo.sampleRate || 30;
+      return sampleCurve(curve, sampleRate, time, this.interpolation);
+    }
+    
+    if (signalConfig.type === 'pitch') {
+      const subtype = signalConfig.subtype || 'value';
+      const curve = trackData.pitch?.[subtype];
+      if (!curve) return 0;
+      const sampleRate = trackData.pitch.sampleRate || 30;
+      // f0 drops to 0 when unvoiced - interpolating would sweep through every pitch in between
+      return sampleCurve(curve, sampleRate, time, subtype === 'f0' ? 'step' : this.interpolation);
     }
     
     if (signalConfig.type === 'automation' && signalConfig.points) {
       return this.interpolateAutomation(signalConfig.points, time);
     }
     
-    if (signalConfig.type === 'trigger' && signalConfig.triggers) {
-      const decay = signalConfig.decay || 0.1;
-      let value = 0;
-      for (const t of signalConfig.triggers) {
-        if (t.time <= time && t.time > time - decay) {
-          value = Math.max(value, t.velocity * (1 - (time - t.time) / decay));
-        }
-      }
-      return value;
+    return 0;
+  }
+  
+  /**
+   * Find the most recent event of a beat or trigger binding still within its decay
+   * @returns {{index: number, velocity: number}|null}
+   */
+  getLatestEvent(binding, time) {
+    const decay = binding.signalConfig?.decay || 0.1;
+    const { events, key, getVelocity } = this.getBindingEvents(binding);
+    
+    const { first, last } = getRecentEvents(events, time, decay, key);
+    return last >= first ? { index: last, velocity: getVelocity(last) } : null;
+  }
+  
+  /**
+   * Event list of a beat or trigger binding (empty for other signals)
+   * @returns {{events: Array, key: string|null, getVelocity: Function}}
+   */
+  getBindingEvents(binding) {
+    const { signalConfig } = binding;
+    
+    if (signalConfig?.type === 'beat') {
+      const trackData = this.getTrackData();
+      const velocities = trackData?.beatVelocities?.[signalConfig.subtype];
+      return {
+        events: trackData?.beats?.[signalConfig.subtype] || [],
+        key: null,
+        getVelocity: (i) => velocities?.[i] ?? 1
+      };
+    }
+    if (signalConfig?.type === 'trigger') {
+      const triggers = signalConfig.triggers || [];
+      return { events: triggers, key: 'time', getVelocity: (i) => triggers[i].velocity };
     }
     
-    return 0;
+    return { events: [], key: null, getVelocity: () => 0 };
   }
   
   interpolateAutomation(points, time) {
@@ -613,15 +737,11 @@ export class DebugControls {
     if (time <= points[0][0]) return points[0][1];
     if (time >= points[points.length - 1][0]) return points[points.length - 1][1];
     
-    for (let i = 0; i < points.length - 1; i++) {
-      if (time >= points[i][0] && time < points[i + 1][0]) {
-        const [t0, v0] = points[i];
-        const [t1, v1] = points[i + 1];
-        const t = (time - t0) / (t1 - t0);
-        return v0 + (v1 - v0) * t * t * (3 - 2 * t);
-      }
-    }
-    return 0;
+    const i = findEventIndex(points, time, 0);
+    const [t0, v0] = points[i];
+    const [t1, v1] = points[i + 1];
+    const t = (time - t0) / (t1 - t0);
+    return v0 + (v1 - v0) * t * t * (3 - 2 * t);
   }
   
   /**
@@ -649,15 +769,32 @@ export class DebugControls {
         const checkbox = element._checkbox;
         if (checkbox) checkbox.checked = value;
       } else if (config.type === 'trigger' && element) {
-        // For triggers, detect rising edge and fire
         const signalValue = this.evaluateSignal(binding, time);
         const state = this._triggerStates[name];
         const threshold = config.threshold ?? 0.5;
         const minInterval = config.minInterval ?? 0.05; // Minimum time between triggers
+        const isEventSignal = ['beat', 'trigger'].includes(binding.signalConfig?.type);
         
-        // Rising edge detection: was below threshold, now above
-        if (state.lastValue < threshold && signalValue >= threshold) {
-          // Check cooldown
+        // Played backwards (seek, loop wrap) - events after the new time fire again
+        if (time < state.lastTime) {
+          const { events, key } = this.getBindingEvents(binding);
+          state.lastEventIndex = findEventIndex(events, time - REWIND_WINDOW, key);
+          state.lastTriggerTime = -Infinity;
+        }
+        state.lastTime = time;
+        
+        if (isEventSignal) {
+          // Beats and trigger events fire once per hit, with the hit's velocity
+          const event = this.getLatestEvent(binding, time);
+          if (event && event.index > state.lastEventIndex) {
+            state.lastEventIndex = event.index;
+            if (Math.abs(time - state.lastTriggerTime) >= minInterval) {
+              this.fireTrigger(name, event.velocity);
+              state.lastTriggerTime = time;
+            }
+          }
+        } else if (state.lastValue < threshold && signalValue >= threshold) {
+          // Continuous signals: rising edge past the threshold, with cooldown
           if (time - state.lastTriggerTime >= minInterval) {
             this.fireTrigger(name, signalValue);
             state.lastTriggerTime = time;
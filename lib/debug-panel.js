@@ -8,7 +8,7 @@
  * - Integrates with DebugControls for schema-based controls
  * - Custom UI hooks for complex visualizations (FFT, audio meters, etc.)
  * - Collapsible sections with <details>
- * - Dev tools section (copy config, reload, live reload)
+ * - Dev tools section (copy config, reload, live reload, record a video)
  * 
  * Usage:
  * ```js
@@ -45,6 +45,9 @@
  *   // Optional audio signals integration
  *   audioSignals: myAudioSignals,
  *   
+ *   // Optional: canvas for Dev Tools > Record (defaults to the largest canvas on the page)
+ *   canvas: renderer.domElement,
+ *   
  *   // Callback when any control changes
  *   onChange: (name, value, allValues) => {
  *     // Update your visualization
@@ -65,6 +68,7 @@
  */
 
 import { DebugControls } from './debug-controls.js';
+import { CanvasRecorder, RECORD_RESOLUTIONS, downloadRecording } from './canvas-recorder.js';
 
 export class DebugPanel {
   constructor(options = {}) {
@@ -82,6 +86,8 @@ export class DebugPanel {
       defaultOpen: options.defaultOpen ?? false,
       // Function to get current config for "Copy Config" button
       getConfig: options.getConfig || null,
+      // Canvas for the "Record" action (null picks the largest canvas on the page)
+      canvas: options.canvas || null,
     };
     
     // Named element references for custom UI
@@ -119,6 +125,7 @@ export class DebugPanel {
     this.dragStart = { x: 0, y: 0 };
     this.panelStart = { x: 0, y: 0 };
     this.liveReloadInterval = null;
+    this.recorder = null;
     
     // Create the panel
     this.createPanel();
@@ -550,9 +557,70 @@ export class DebugPanel {
       liveReloadLabel.appendChild(liveReloadCheck);
       liveReloadLabel.appendChild(document.createTextNode(' Live Reload'));
       container.appendChild(liveReloadLabel);
+
+      // Record a video of the canvas with the song
+      if ('captureStream' in HTMLCanvasElement.prototype && typeof MediaRecorder !== 'undefined') {
+        const rangeSelect = this.createSelect([
+          { value: 'song', label: 'Whole song' },
+          { value: 'loop', label: 'Loop region' },
+          { value: 'manual', label: 'Until stopped' }
+        ], 'recordRange');
+        const resolutionSelect = this.createSelect(Object.keys(RECORD_RESOLUTIONS).map(value => ({
+          value,
+          label: value === 'canvas' ? 'Canvas size' : value
+        })), 'recordResolution');
+
+        const btnRecord = document.createElement('button');
+        btnRecord.className = 'debug-panel-button';
+        btnRecord.textContent = 'Record';
+        btnRecord.onclick = () => this.toggleRecording(rangeSelect.value, resolutionSelect.value);
+        this.registerElement('recordButton', btnRecord);
+
+        container.appendChild(this.createRow(rangeSelect, resolutionSelect));
+        container.appendChild(btnRecord);
+        container.appendChild(this.createStatus('Not recording', 'recordStatus'));
+      }
     }, false); // collapsed by default
   }
   
+  /**
+   * Start recording the canvas (and the song, with audioSignals), or stop and save
+   * @param {string} range - 'song', 'loop' or 'manual' (until stopped)
+   * @param {string} resolution - Key of RECORD_RESOLUTIONS
+   */
+  async toggleRecording(range, resolution) {
+    if (this.recorder?.isRecording()) {
+      this.recorder.stop();
+      return;
+    }
+    
+    const button = this.elements.recordButton;
+    const status = this.elements.recordStatus;
+    const canvas = this.options.canvas || findLargestCanvas(this.panel);
+    if (!canvas) {
+      status.textContent = 'No canvas to record';
+      return;
+    }
+    
+    this.recorder = new CanvasRecorder(canvas, { audioSignals: this.options.audioSignals });
+    button.textContent = 'Stop';
+    status.textContent = 'Recording...';
+    status.classList.add('active');
+    
+    try {
+      const blob = await this.recorder.record({ range, resolution });
+      const name = this.options.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      downloadRecording(blob, `${name || 'sketch'}-${range}`);
+      status.textContent = `Saved ${(blob.size / 1048576).toFixed(1)} MB`;
+    } catch (e) {
+      console.error('Recording failed:', e);
+      status.textContent = e.message;
+    } finally {
+      button.textContent = 'Record';
+      status.classList.remove('active');
+    }
+  }
+  
   /**
    * Toggle live reload polling
    */
@@ -1413,12 +1481,29 @@ export class DebugPanel {
     if (this.liveReloadInterval) {
       clearInterval(this.liveReloadInterval);
     }
+    if (this.recorder) {
+      this.recorder.stop();
+    }
     if (this.panel) {
       this.panel.remove();
     }
   }
 }
 
+/**
+ * The sketch's canvas: the largest one on the page outside the panel
+ */
+function findLargestCanvas(panel) {
+  let largest = null;
+  for (const canvas of document.querySelectorAll('canvas')) {
+    if (panel?.contains(canvas)) continue;
+    if (!largest || canvas.width * canvas.height > largest.width * largest.height) {
+      largest = canvas;
+    }
+  }
+  return largest;
+}
+
 /**
  * Helper to create a hint element that auto-hides in iframe
  */
@@ -0,0 +1,40 @@
+/**
+ * Live Input Worklet - Hands live audio to the main thread for analysis
+ * 
+ * Loaded by AudioSignals.startLiveInput. Mixes its input to mono and posts it
+ * to the port in BLOCK_SIZE-sample Float32Arrays (transferred, not copied),
+ * which AudioSignals feeds to a StreamingAnalyzer. Produces no output.
+ */
+
+const BLOCK_SIZE = 512; // About 11ms at 44.1kHz
+
+class LiveInputProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.block = new Float32Array(BLOCK_SIZE);
+    this.length = 0;
+  }
+  
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels?.length) return true; // Input not connected yet
+    
+    for (let i = 0; i < channels[0].length; i++) {
+      let sum = 0;
+      for (const channel of channels) {
+        sum += channel[i];
+      }
+      this.block[this.length++] = sum / channels.length;
+      
+      if (this.length === BLOCK_SIZE) {
+        this.port.postMessage(this.block, [this.block.buffer]);
+        this.block = new Float32Array(BLOCK_SIZE);
+        this.length = 0;
+      }
+    }
+    
+    return true;
+  }
+}
+
+registerProcessor('live-input', LiveInputProcessor);
@@ -0,0 +1,89 @@
+/**
+ * Pitch Shift Worklet - Undoes the pitch change of a resampled playback rate
+ * 
+ * Loaded by AudioSignals.loadPitchShifter. The track's buffer source plays at the
+ * playback rate, which scales its pitch too; this node shifts it by pitchRatio
+ * (1 / rate) to bring it back. Each channel runs through a delay line read by
+ * two taps half a window apart, whose delays sweep across the window so the
+ * taps read at pitchRatio times the input speed, crossfaded with sin² gains
+ * (summing to 1) so each tap is silent as it jumps back. At a ratio of 1 the
+ * input passes straight through.
+ * 
+ * Adds up to WINDOW_TIME of latency (half that on average) while shifting.
+ */
+
+const WINDOW_TIME = 0.05; // Sweep window (s) - longer smears transients, shorter sounds grainy
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.01, maxValue: 100, automationRate: 'k-rate' }];
+  }
+  
+  constructor() {
+    super();
+    this.window = Math.round(WINDOW_TIME * sampleRate);
+    this.size = this.window + 256; // Room for the window plus a render quantum
+    this.lines = []; // Delay line per channel
+    this.writeIndex = 0;
+    this.phase = 0; // Position of the first tap in its sweep (0-1)
+  }
+  
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input?.length) return true; // Input not connected yet
+    
+    const ratio = parameters.pitchRatio[0];
+    while (this.lines.length < input.length) {
+      this.lines.push(new Float32Array(this.size));
+    }
+    
+    const step = (1 - ratio) / this.window;
+    const frames = input[0].length;
+    const startIndex = this.writeIndex;
+    const startPhase = this.phase;
+    
+    for (let c = 0; c < output.length; c++) {
+      const source = input[Math.min(c, input.length - 1)];
+      const line = this.lines[Math.min(c, input.length - 1)];
+      const out = output[c];
+      let index = startIndex;
+      let phase = startPhase;
+      
+      for (let i = 0; i < frames; i++) {
+        line[index] = source[i];
+        
+        if (ratio === 1) {
+          out[i] = source[i];
+        } else {
+          const other = (phase + 0.5) % 1;
+          const gain = Math.sin(Math.PI * phase);
+          out[i] = this.read(line, index - phase * this.window) * gain * gain +
+            this.read(line, index - other * this.window) * (1 - gain * gain);
+          
+          phase = ((phase + step) % 1 + 1) % 1;
+        }
+        index = (index + 1) % this.size;
+      }
+      
+      if (c === output.length - 1) {
+        this.writeIndex = index;
+        this.phase = phase;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Delay line value at a fractional index (linear interpolation, wrapping)
+   */
+  read(line, position) {
+    const wrapped = (position % this.size + this.size) % this.size;
+    const i = Math.floor(wrapped);
+    const frac = wrapped - i;
+    return line[i] + (line[(i + 1) % this.size] - line[i]) * frac;
+  }
+}
+
+registerProcessor('pitch-shift', PitchShiftProcessor);
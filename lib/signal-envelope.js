@@ -0,0 +1,160 @@
+/**
+ * Signal Envelope - Attack/hold/decay, gain and smoothing for signal tracks
+ * 
+ * Signal tracks carry their shaping settings (attack, hold, decay, shape, gain,
+ * smoothing). This is the one stage that applies them, so the Song Manager
+ * preview, AudioSignals and DebugControls bindings all produce the same values.
+ * 
+ * Event signals (beats, triggers) give every event an envelope: a rise over
+ * `attack`, `hold` at the event's velocity, then a fall over `decay`, both in
+ * the given `shape`. Overlapping events take the loudest. Continuous signals
+ * (bands, descriptors, automation) follow their input, rising with the attack
+ * and falling with the decay time constant. Gain then scales the level
+ * (clipped to 1) and `smoothing` low-passes the result.
+ * 
+ * The follower and smoothing are one-pole filters with coefficients from the
+ * time step, so they respond the same at 30, 60 or 144 fps. A step backwards or
+ * longer than MAX_STEP (seek, loop wrap) restarts them at the input.
+ */
+
+import { getRecentEvents } from './signal-sampling.js';
+
+export const ENVELOPE_SHAPES = ['linear', 'exponential', 'smooth'];
+
+const EVENT_TYPES = ['beat', 'trigger'];
+const SMOOTHING_RATE = 60; // smoothing is the fraction of the old value kept per frame at this frame rate
+const MAX_STEP = 0.25; // Longer steps restart the filters (s)
+
+/**
+ * Envelope settings of a signal track or binding config, with defaults filled in
+ * Event signals decay over 0.1s unless told otherwise; continuous ones pass through.
+ * @param {Object} config - { type, attack, hold, decay, shape, gain, smoothing }
+ * @returns {Object} { attack, hold, decay, shape, gain, smoothing }
+ */
+export function getEnvelope(config = {}) {
+  const isEvent = EVENT_TYPES.includes(config.type);
+  return {
+    attack: Math.max(0, config.attack ?? 0),
+    hold: Math.max(0, config.hold ?? 0),
+    decay: Math.max(0, config.decay ?? (isEvent ? 0.1 : 0)),
+    shape: ENVELOPE_SHAPES.includes(config.shape) ? config.shape : 'linear',
+    gain: Math.max(0, config.gain ?? 1),
+    smoothing: Math.min(0.99, Math.max(0, config.smoothing || 0))
+  };
+}
+
+/**
+ * Level of one event's envelope some time after the event
+ * @param {number} age - Seconds since the event
+ * @param {Object} envelope - From getEnvelope
+ * @returns {number} 0-1
+ */
+export function getEventLevel(age, { attack, hold, decay, shape }) {
+  if (age < 0) return 0;
+  if (age < attack) return 1 - fall(age / attack, shape);
+  if (age < attack + hold) return 1;
+  if (age < attack + hold + decay) return fall((age - attack - hold) / decay, shape);
+  return 0;
+}
+
+/**
+ * The envelope/filter stage of one signal
+ * Keep one per signal and feed it every frame - the filters carry state.
+ */
+export class SignalEnvelope {
+  /**
+   * @param {Object} config - Signal track or binding config (see getEnvelope)
+   */
+  constructor(config = {}) {
+    this.configure(config);
+    this.reset();
+  }
+  
+  /**
+   * Take new settings (filter state is kept)
+   */
+  configure(config) {
+    this.settings = getEnvelope(config);
+  }
+  
+  /**
+   * Forget the filter state
+   */
+  reset() {
+    this.time = null;
+    this.level = 0; // Follower output
+    this.value = 0; // Smoothed output
+  }
+  
+  /**
+   * Envelope of an event list at a time
+   * @param {Array} events - Sorted event times, or objects with their time in `key`
+   * @param {number} time - Time in seconds
+   * @param {Function} getVelocity - (index) => velocity 0-1 of an event
+   * @param {string|null} key - Field holding the time (null when events are times)
+   * @returns {number} 0-1
+   */
+  processEvents(events, time, getVelocity = () => 1, key = null) {
+    const { attack, hold, decay } = this.settings;
+    const { first, last } = getRecentEvents(events, time, attack + hold + decay, key);
+    
+    let level = 0;
+    for (let i = first; i <= last; i++) {
+      const eventTime = key === null ? events[i] : events[i][key];
+      level = Math.max(level, getVelocity(i) * getEventLevel(time - eventTime, this.settings));
+    }
+    return this.output(level, time, false);
+  }
+  
+  /**
+   * A continuous signal at a time, through the attack/decay follower
+   * @param {number} value - Input level (0-1)
+   * @param {number} time - Time in seconds
+   * @returns {number} 0-1
+   */
+  processLevel(value, time) {
+    return this.output(value, time, true);
+  }
+  
+  /**
+   * Gain, follower (continuous signals) and smoothing
+   */
+  output(input, time, follow) {
+    const { attack, decay, gain, smoothing } = this.settings;
+    const target = Math.min(1, input * gain);
+    
+    // Called again for the same frame
+    const step = this.time === null ? Infinity : time - this.time;
+    if (step === 0) return this.value;
+    this.time = time;
+    
+    if (!(step > 0 && step <= MAX_STEP)) {
+      this.level = target;
+      this.value = target;
+      return target;
+    }
+    
+    if (follow) {
+      const timeConstant = target > this.level ? attack : decay;
+      this.level = timeConstant > 0
+        ? this.level + (target - this.level) * (1 - Math.exp(-step / timeConstant))
+        : target;
+    } else {
+      this.level = target;
+    }
+    
+    this.value = smoothing > 0
+      ? this.value + (this.level - this.value) * (1 - Math.pow(smoothing, step * SMOOTHING_RATE))
+      : this.level;
+    return this.value;
+  }
+}
+
+/**
+ * Falling segment of an envelope (1 at x = 0, 0 at x = 1); rises are its mirror
+ */
+function fall(x, shape) {
+  if (shape === 'exponential') return Math.pow(1 - x, 3);
+  if (shape === 'smooth') return 1 - x * x * (3 - 2 * x);
+  return 1 - x;
+}
@@ -0,0 +1,160 @@
+/**
+ * Signal Sampling - Shared lookups into analysed curves and event lists
+ * 
+ * Curves (frequency bands, energy, spectral descriptors, ...) are frames at a
+ * fixed rate, frame k describing time k / sampleRate. sampleCurve reads them at
+ * any time: 'step' holds each frame, 'linear' and 'cubic' (Catmull-Rom)
+ * interpolate between frames, so values move smoothly at display rates far
+ * above the ~30Hz analysis rate.
+ * 
+ * Event lists (beat times, triggers, automation points) are sorted by time and
+ * binary-searched. getEventCursor keeps a cursor per list that steps on from its
+ * previous answer, so a playhead moving forward frame by frame costs O(1).
+ */
+
+export const INTERPOLATION_MODES = ['step', 'linear', 'cubic'];
+
+const CURSOR_STEPS = 8; // Events a cursor steps over before falling back to binary search
+
+const cursors = new WeakMap(); // Event list -> EventCursor
+
+/**
+ * Read a curve at a time
+ * @param {ArrayLike<number>} values - Frames
+ * @param {number} sampleRate - Frames per second
+ * @param {number} time - Time in seconds
+ * @param {string} interpolation - 'step', 'linear' or 'cubic'
+ * @returns {number} Value (0 for a missing or empty curve)
+ */
+export function sampleCurve(values, sampleRate, time, interpolation = 'linear') {
+  if (!values?.length) return 0;
+  
+  const position = Math.max(0, time * sampleRate);
+  const last = values.length - 1;
+  const index = Math.min(Math.floor(position), last);
+  const v1 = values[index] || 0;
+  if (interpolation === 'step' || index === last) return v1;
+  
+  const t = position - index;
+  const v2 = values[index + 1] || 0;
+  if (interpolation !== 'cubic') {
+    return v1 + (v2 - v1) * t;
+  }
+  
+  const v0 = values[Math.max(0, index - 1)] || 0;
+  const v3 = values[Math.min(last, index + 2)] || 0;
+  const value = 0.5 * (
+    2 * v1 +
+    (v2 - v0) * t +
+    (2 * v0 - 5 * v1 + 4 * v2 - v3) * t * t +
+    (3 * (v1 - v2) + v3 - v0) * t * t * t
+  );
+  // Catmull-Rom overshoots around sudden jumps - stay within the neighbouring frames
+  return Math.max(Math.min(v0, v1, v2, v3), Math.min(Math.max(v0, v1, v2, v3), value));
+}
+
+/**
+ * Binary search for the last event at or before time
+ * @param {Array} events - Times, or objects/arrays sorted by their `key` field
+ * @param {number} time - Time in seconds
+ * @param {string|number|null} key - Field holding the time (null when events are times)
+ * @returns {number} Index (-1 if time is before the first event)
+ */
+export function findEventIndex(events, time, key = null) {
+  let low = 0;
+  let high = events.length - 1;
+  let result = -1;
+  
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (eventTime(events, mid, key) <= time) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Remembers where the last lookup in an event list landed
+ * The list may grow (live input) or be edited between lookups, as long as it stays sorted.
+ */
+export class EventCursor {
+  /**
+   * @param {Array} events - Sorted event list
+   * @param {string|number|null} key - Field holding the time (null when events are times)
+   */
+  constructor(events, key = null) {
+    this.events = events;
+    this.key = key;
+    this.index = -1;
+  }
+  
+  /**
+   * Index of the last event at or before time
+   * Steps forward from the previous answer; jumps back or far ahead binary-search.
+   * @param {number} time - Time in seconds
+   * @returns {number} Index (-1 if time is before the first event)
+   */
+  seek(time) {
+    const { events, key } = this;
+    let index = Math.min(this.index, events.length - 1);
+    
+    if (index >= 0 && eventTime(events, index, key) > time) {
+      this.index = findEventIndex(events, time, key);
+      return this.index;
+    }
+    
+    for (let steps = 0; index + 1 < events.length && eventTime(events, index + 1, key) <= time; steps++) {
+      if (steps === CURSOR_STEPS) {
+        this.index = findEventIndex(events, time, key);
+        return this.index;
+      }
+      index++;
+    }
+    
+    this.index = index;
+    return index;
+  }
+}
+
+/**
+ * Shared cursor for an event list (one per list, created on first use)
+ * @param {Array} events - Sorted event list
+ * @param {string|number|null} key - Field holding the time (null when events are times)
+ * @returns {EventCursor}
+ */
+export function getEventCursor(events, key = null) {
+  let cursor = cursors.get(events);
+  if (!cursor || cursor.key !== key) {
+    cursor = new EventCursor(events, key);
+    cursors.set(events, cursor);
+  }
+  return cursor;
+}
+
+/**
+ * Events within a window before a time: time - window < event time <= time
+ * @param {Array} events - Sorted event list
+ * @param {number} time - Time in seconds
+ * @param {number} window - Window length in seconds
+ * @param {string|number|null} key - Field holding the time (null when events are times)
+ * @returns {{first: number, last: number}} Index range (empty when last < first)
+ */
+export function getRecentEvents(events, time, window, key = null) {
+  if (!events?.length) return { first: 0, last: -1 };
+  
+  const last = getEventCursor(events, key).seek(time);
+  let first = last + 1;
+  while (first > 0 && eventTime(events, first - 1, key) > time - window) {
+    first--;
+  }
+  return { first, last };
+}
+
+function eventTime(events, index, key) {
+  return key === null ? events[index] : events[index][key];
+}
@@ -4,8 +4,11 @@
  * Use this in sketches to load songs that were imported in the signal editor.
  * The signal editor stores full song data including audio in IndexedDB,
  * which can then be accessed from any page on the same origin.
+ * Records are migrated to the current track schema as they are loaded.
  */
 
+import { migrateTrack } from './track-schema.js';
+
 const DB_NAME = 'AudioTracksDB';
 const DB_VERSION = 2;
 const SONGS_STORE = 'songs';
@@ -63,7 +66,7 @@ export async function getSongList() {
 /**
  * Load a complete song by ID (including audio data)
  * @param {string} id - Song ID
- * @returns {Promise<Object|null>} Full song object or null if not found
+ * @returns {Promise<Object|null>} Full song object (current track schema) or null if not found
  */
 export async function loadSong(id) {
   await initDB();
@@ -71,7 +74,13 @@ export async function loadSong(id) {
   return new Promise((resolve, reject) => {
     const tx = db.transaction([SONGS_STORE], 'readonly');
     const req = tx.objectStore(SONGS_STORE).get(id);
-    req.onsuccess = () => resolve(req.result || null);
+    req.onsuccess = () => {
+      try {
+        resolve(req.result ? migrateTrack(req.result) : null);
+      } catch (error) {
+        reject(error);
+      }
+    };
     req.onerror = () => reject(req.error);
   });
 }
@@ -0,0 +1,208 @@
+/**
+ * Spectrogram - Compact log-spaced spectrogram for custom frequency ranges
+ * 
+ * The analyzer keeps one byte per band per frame: band power in dB relative
+ * to the loudest cell of the song, base64-encoded so it fits in track JSON
+ * and IndexedDB records. Consumers ask for the curve of any Hz range, which
+ * is integrated from the overlapping bands (weighted on a log scale) and
+ * normalised like the track's preset bands (see the track's `normalization`).
+ */
+
+import { sampleCurve } from './signal-sampling.js';
+
+export const SPECTROGRAM_BANDS = 64;
+export const SPECTROGRAM_RANGE = [20, 20000]; // Hz
+export const SPECTROGRAM_DB_RANGE = 90; // dB below the loudest cell mapped to byte 0
+
+const DEFAULT_PERCENTILE = 0.98; // As normalizationPercentile in audio-analyzer.js
+
+// Decoded bytes and range curves, cached per spectrogram object
+const decodedCache = new WeakMap();
+const curveCache = new WeakMap();
+
+/**
+ * Log-spaced band edges (count + 1 values)
+ */
+export function getBandEdges(count = SPECTROGRAM_BANDS, range = SPECTROGRAM_RANGE) {
+  const [minHz, maxHz] = range;
+  const edges = new Float64Array(count + 1);
+  for (let i = 0; i <= count; i++) {
+    edges[i] = minHz * Math.pow(maxHz / minHz, i / count);
+  }
+  return edges;
+}
+
+/**
+ * FFT bin range for each band
+ * Bands narrower than a bin use the bin nearest their centre;
+ * bands above Nyquist get an empty range.
+ * @returns {Array} [{ start, end }] - end is exclusive
+ */
+export function getBandBins(sampleRate, fftSize) {
+  const edges = getBandEdges();
+  const binFrequency = sampleRate / fftSize;
+  const binCount = fftSize / 2;
+  const bins = [];
+  
+  for (let b = 0; b < SPECTROGRAM_BANDS; b++) {
+    let start = Math.ceil(edges[b] / binFrequency);
+    let end = Math.min(binCount, Math.ceil(edges[b + 1] / binFrequency));
+    
+    if (start >= binCount) {
+      start = end = binCount;
+    } else if (end <= start) {
+      start = Math.min(binCount - 1, Math.round(Math.sqrt(edges[b] * edges[b + 1]) / binFrequency));
+      end = start + 1;
+    }
+    bins.push({ start, end });
+  }
+  return bins;
+}
+
+/**
+ * Quantise band powers to bytes and encode them
+ * @param {Float32Array} power - Mean band power, frame-major (numFrames * SPECTROGRAM_BANDS)
+ * @returns {Object} { bands, minHz, maxHz, dbRange, data } - data is base64
+ */
+export function encodeSpectrogram(power) {
+  let maxPower = 0;
+  for (let i = 0; i < power.length; i++) {
+    if (power[i] > maxPower) maxPower = power[i];
+  }
+  
+  const bytes = new Uint8Array(power.length);
+  if (maxPower > 0) {
+    for (let i = 0; i < power.length; i++) {
+      if (power[i] <= 0) continue;
+      const db = 10 * Math.log10(power[i] / maxPower);
+      bytes[i] = Math.max(0, Math.round((1 + db / SPECTROGRAM_DB_RANGE) * 255));
+    }
+  }
+  
+  return {
+    bands: SPECTROGRAM_BANDS,
+    minHz: SPECTROGRAM_RANGE[0],
+    maxHz: SPECTROGRAM_RANGE[1],
+    dbRange: SPECTROGRAM_DB_RANGE,
+    data: bytesToBase64(bytes)
+  };
+}
+
+/**
+ * Decode the stored bytes (cached)
+ * @returns {Uint8Array} frame-major, spectrogram.bands values per frame
+ */
+export function decodeSpectrogram(spectrogram) {
+  if (decodedCache.has(spectrogram)) {
+    return decodedCache.get(spectrogram);
+  }
+  
+  const bytes = base64ToBytes(spectrogram.data);
+  decodedCache.set(spectrogram, bytes);
+  return bytes;
+}
+
+/**
+ * Energy curve for a Hz range (cached)
+ * Values are the RMS amplitude of the overlapping bands, scaled to 0-1 the way
+ * the track's preset bands were, so custom ranges compare with them.
+ * @param {Object} spectrogram - Spectrogram from the track data
+ * @param {number} minHz - Range start
+ * @param {number} maxHz - Range end
+ * @param {Object} normalization - The track's normalization record ({ mode, percentile, gain })
+ * @returns {Float32Array} One value (0-1) per frame
+ */
+export function getRangeCurve(spectrogram, minHz, maxHz, normalization = { mode: 'peak' }) {
+  let curves = curveCache.get(spectrogram);
+  if (!curves) {
+    curves = new Map();
+    curveCache.set(spectrogram, curves);
+  }
+  
+  const { mode = 'peak', percentile = DEFAULT_PERCENTILE, gain = 1 } = normalization || {};
+  const key = `${minHz}-${maxHz}-${mode}-${percentile}-${gain}`;
+  if (curves.has(key)) {
+    return curves.get(key);
+  }
+  
+  const bytes = decodeSpectrogram(spectrogram);
+  const bands = spectrogram.bands;
+  const numFrames = Math.floor(bytes.length / bands);
+  const edges = getBandEdges(bands, [spectrogram.minHz, spectrogram.maxHz]);
+  
+  // Log-scale overlap of each band with the range
+  const weights = [];
+  for (let b = 0; b < bands; b++) {
+    const low = Math.max(edges[b], minHz);
+    const high = Math.min(edges[b + 1], maxHz);
+    if (low < high) {
+      weights.push([b, Math.log(high / low) / Math.log(edges[b + 1] / edges[b])]);
+    }
+  }
+  const totalWeight = weights.reduce((sum, [, w]) => sum + w, 0);
+  
+  // Byte -> linear power (byte 0 is silence)
+  const powerLookup = new Float32Array(256);
+  for (let v = 1; v < 256; v++) {
+    powerLookup[v] = Math.pow(10, (v / 255 - 1) * spectrogram.dbRange / 10);
+  }
+  
+  const curve = new Float32Array(numFrames);
+  if (totalWeight > 0) {
+    for (let f = 0; f < numFrames; f++) {
+      let sum = 0;
+      for (const [b, w] of weights) {
+        sum += powerLookup[bytes[f * bands + b]] * w;
+      }
+      curve[f] = Math.sqrt(sum / totalWeight);
+    }
+  }
+  
+  // Same scaling as normalizeLevels in audio-analyzer.js: the peak, or a percentile
+  // level (times the loudness gain in 'loudness' mode), maps to 1
+  let level = 0;
+  if (mode === 'peak') {
+    for (let f = 0; f < numFrames; f++) {
+      if (curve[f] > level) level = curve[f];
+    }
+  } else if (numFrames > 0) {
+    const sorted = Float32Array.from(curve).sort();
+    level = sorted[Math.min(numFrames - 1, Math.floor(percentile * numFrames))];
+  }
+  const scale = level > 0 ? (mode === 'loudness' ? gain : 1) / level : 0;
+  for (let f = 0; f < numFrames; f++) {
+    curve[f] = Math.min(1, curve[f] * scale);
+  }
+  
+  curves.set(key, curve);
+  return curve;
+}
+
+/**
+ * Value of a Hz range at a given time
+ * @param {Object} normalization - The track's normalization record (see getRangeCurve)
+ * @param {string} interpolation - 'step', 'linear' or 'cubic' (see signal-sampling.js)
+ * @returns {number} 0-1
+ */
+export function getRangeValue(spectrogram, minHz, maxHz, time, normalization, interpolation = 'linear') {
+  const curve = getRangeCurve(spectrogram, minHz, maxHz, normalization);
+  return sampleCurve(curve, spectrogram.sampleRate || 30, time, interpolation);
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,286 @@
+/**
+ * Streaming Analyzer - Real-time band, energy and onset analysis of PCM chunks
+ * 
+ * The live counterpart of analyzeChannelData. Feed it chunks of samples as they
+ * arrive (from an AudioWorklet, a decoder, a file read in pieces) and it reports
+ * the frequency bands, energy and onset strength at the analysis frame rate, and
+ * kicks, snares and hihats found with the offline detector's spectral flux and
+ * peak picking. Bands, drum ranges and thresholds come from the same options.
+ * 
+ * Frames are timed like the offline curves (frame k starts at k / frameRate) and
+ * reported once all of their samples have arrived. What can't match:
+ * - Peak picking only sees `lookahead` flux frames past a candidate. The default
+ *   of 1 reports hits about 12ms after their window ends; PEAK_WINDOW gives the
+ *   offline detector's exact result with about 230ms of latency.
+ * - Levels and velocities can't be normalised against the whole track, so each
+ *   is divided by a running peak that decays over normalizationTime seconds.
+ * - BPM is estimated from the beats of the last BPM_WINDOW seconds.
+ */
+
+import {
+  resolveOptions,
+  computeFFT,
+  createHannWindow,
+  getBandBinRanges,
+  getDrumBinRanges,
+  spectralFlux,
+  isPeak,
+  estimateBPM,
+  ONSET_FRAME_SIZE,
+  ONSET_HOP_SIZE,
+  PEAK_WINDOW
+} from './audio-analyzer.js';
+
+const HISTORY_SIZE = PEAK_WINDOW * 2 + 1; // Flux frames in one peak-picking window
+const ONSET_WEIGHTS = { kicks: 1, snares: 0.6, hihats: 0.3 }; // As in the offline onset envelope
+const BEAT_MERGE = 0.05; // Hits closer than this count as one beat (s)
+const LEVEL_RANGE = 0.01; // A running peak never decays below this fraction of the loudest level so far
+const BPM_WINDOW = 8; // Seconds of beats the live BPM estimate looks at
+
+export class StreamingAnalyzer {
+  /**
+   * @param {number} sampleRate - Sample rate of the incoming audio
+   * @param {Object} config
+   * @param {Object} config.options - Analysis options (see DEFAULT_OPTIONS in audio-analyzer.js)
+   * @param {number} config.lookahead - Flux frames to wait before deciding on a peak (1 to PEAK_WINDOW)
+   * @param {number} config.normalizationTime - Decay time of the running peaks (s)
+   */
+  constructor(sampleRate, { options = {}, lookahead = 1, normalizationTime = 10 } = {}) {
+    if (!(sampleRate > 0)) {
+      throw new Error(`sampleRate must be a positive number, got ${sampleRate}`);
+    }
+    if (!(lookahead >= 1 && lookahead <= PEAK_WINDOW)) {
+      throw new Error(`lookahead must be between 1 and ${PEAK_WINDOW} frames, got ${lookahead}`);
+    }
+    
+    this.sampleRate = sampleRate;
+    this.settings = resolveOptions(options);
+    this.lookahead = Math.round(lookahead);
+    this.normalizationTime = normalizationTime;
+    
+    this.samplesPerFrame = Math.floor(sampleRate / this.settings.sampleRate);
+    this.bandBins = getBandBinRanges(sampleRate, this.settings.fftSize, this.settings.bands);
+    this.drumBins = getDrumBinRanges(sampleRate, this.settings.drumRanges);
+    
+    // Reusable FFT input buffers
+    this.frameData = new Float32Array(this.settings.fftSize);
+    this.onsetData = new Float32Array(ONSET_FRAME_SIZE);
+    
+    // Callbacks (same signatures as AudioSignals)
+    this.onFrame = null; // ({ time, frequency, energy, onset })
+    this.onBeat = null; // (time, velocity)
+    this.onKick = null; // (time, velocity)
+    this.onSnare = null; // (time, velocity)
+    this.onHihat = null; // (time, velocity)
+    
+    this.reset();
+  }
+  
+  /**
+   * Forget all audio and running levels (e.g. when the input changes)
+   */
+  reset() {
+    this.buffer = new Float32Array(Math.max(this.settings.fftSize, ONSET_FRAME_SIZE) * 2);
+    this.bufferStart = 0; // Stream position of buffer[0] (samples)
+    this.bufferLength = 0;
+    
+    this.frameIndex = 0; // Next band/energy frame
+    this.onsetIndex = 0; // Next flux frame
+    
+    this.previousSpectra = null;
+    this.fluxHistory = {};
+    for (const type of Object.keys(this.drumBins)) {
+      this.fluxHistory[type] = new Float32Array(HISTORY_SIZE);
+    }
+    this.peaks = {}; // Running peak per level curve: { value, max }
+    this.hitPeaks = {}; // Running peak of the hit heights per drum type
+    this.pendingOnset = 0; // Strongest onset since the last frame
+    this.lastBeatTime = -Infinity;
+    this.recentBeats = []; // Beat times within BPM_WINDOW
+    
+    // Latest frame and tempo estimate, for polling instead of the callbacks
+    this.frame = null;
+    this.bpm = 120;
+  }
+  
+  /**
+   * Stream position: seconds of audio received
+   */
+  get time() {
+    return (this.bufferStart + this.bufferLength) / this.sampleRate;
+  }
+  
+  /**
+   * Seconds from a moment in the audio until every frame and hit covering it
+   * has been reported - subtract from time to get a position that is fully analysed
+   */
+  get latency() {
+    const onsetDelay = ONSET_FRAME_SIZE + this.lookahead * ONSET_HOP_SIZE;
+    return Math.max(this.settings.fftSize, onsetDelay) / this.sampleRate;
+  }
+  
+  /**
+   * Analyse the next chunk of audio
+   * Callbacks fire synchronously for every frame and hit the chunk completes.
+   * @param {Float32Array|Float32Array[]} input - Mono samples, or one array per channel (mixed to mono)
+   */
+  process(input) {
+    const samples = Array.isArray(input) ? mixChannels(input) : input;
+    this.append(samples);
+    
+    // Onsets first, so a frame's onset strength includes every flux frame before it
+    while ((this.onsetIndex * ONSET_HOP_SIZE) + ONSET_FRAME_SIZE <= this.bufferStart + this.bufferLength) {
+      this.analyzeOnsetFrame(this.onsetIndex * ONSET_HOP_SIZE - this.bufferStart);
+      this.onsetIndex++;
+    }
+    while ((this.frameIndex * this.samplesPerFrame) + this.settings.fftSize <= this.bufferStart + this.bufferLength) {
+      this.analyzeFrame(this.frameIndex * this.samplesPerFrame - this.bufferStart);
+      this.frameIndex++;
+    }
+  }
+  
+  /**
+   * Add samples to the buffer, dropping those no pending frame needs
+   */
+  append(samples) {
+    const keepFrom = Math.min(this.frameIndex * this.samplesPerFrame, this.onsetIndex * ONSET_HOP_SIZE);
+    const drop = keepFrom - this.bufferStart;
+    if (drop > 0) {
+      this.buffer.copyWithin(0, drop, this.bufferLength);
+      this.bufferStart += drop;
+      this.bufferLength -= drop;
+    }
+    
+    const needed = this.bufferLength + samples.length;
+    if (needed > this.buffer.length) {
+      const grown = new Float32Array(Math.max(needed, this.buffer.length * 2));
+      grown.set(this.buffer.subarray(0, this.bufferLength));
+      this.buffer = grown;
+    }
+    
+    this.buffer.set(samples, this.bufferLength);
+    this.bufferLength = needed;
+  }
+  
+  /**
+   * Bands, energy and onset strength of the frame starting at buffer[offset]
+   */
+  analyzeFrame(offset) {
+    const { fftSize } = this.settings;
+    const window = createHannWindow(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.frameData[i] = this.buffer[offset + i] * window[i];
+    }
+    const magnitudes = computeFFT(this.frameData);
+    const decay = Math.exp(-1 / (this.settings.sampleRate * this.normalizationTime));
+    
+    const frequency = {};
+    for (const [band, { start, end }] of Object.entries(this.bandBins)) {
+      let sum = 0;
+      for (let bin = start; bin <= end; bin++) {
+        sum += magnitudes[bin] * magnitudes[bin];
+      }
+      frequency[band] = this.normalize(band, Math.sqrt(sum / (end - start + 1)), decay);
+    }
+    
+    let rms = 0;
+    for (let i = 0; i < fftSize; i++) {
+      const sample = this.buffer[offset + i];
+      rms += sample * sample;
+    }
+    const energy = this.normalize('energy', Math.sqrt(rms / fftSize), decay);
+    
+    const onset = this.normalize('onset', this.pendingOnset, decay);
+    this.pendingOnset = 0;
+    
+    this.frame = {
+      time: (this.frameIndex * this.samplesPerFrame) / this.sampleRate,
+      frequency,
+      energy,
+      onset
+    };
+    if (this.onFrame) this.onFrame(this.frame);
+  }
+  
+  /**
+   * Spectral flux of the onset frame starting at buffer[offset], then peak picking
+   * on the frame `lookahead` frames back
+   */
+  analyzeOnsetFrame(offset) {
+    const window = createHannWindow(ONSET_FRAME_SIZE);
+    for (let i = 0; i < ONSET_FRAME_SIZE; i++) {
+      this.onsetData[i] = this.buffer[offset + i] * window[i];
+    }
+    const magnitudes = computeFFT(this.onsetData);
+    const decay = Math.exp(-ONSET_HOP_SIZE / (this.sampleRate * this.normalizationTime));
+    
+    const spectra = {};
+    let onset = 0;
+    for (const [type, { start, end }] of Object.entries(this.drumBins)) {
+      spectra[type] = magnitudes.slice(start, end);
+      const flux = this.previousSpectra ? spectralFlux(spectra[type], this.previousSpectra[type]) : 0;
+      
+      const history = this.fluxHistory[type];
+      history.copyWithin(0, 1);
+      history[HISTORY_SIZE - 1] = flux;
+      
+      onset += this.normalize(`flux:${type}`, flux, decay) * (ONSET_WEIGHTS[type] ?? 0);
+    }
+    this.previousSpectra = spectra;
+    this.pendingOnset = Math.max(this.pendingOnset, onset);
+    
+    // Peak picking needs a full window (the offline detector skips the first PEAK_WINDOW frames too)
+    if (this.onsetIndex < HISTORY_SIZE - 1) return;
+    
+    const candidate = HISTORY_SIZE - 1 - this.lookahead;
+    const time = ((this.onsetIndex - this.lookahead) * ONSET_HOP_SIZE) / this.sampleRate;
+    let beatVelocity = -1;
+    
+    for (const [type, history] of Object.entries(this.fluxHistory)) {
+      const threshold = this.settings.peakThresholds[type];
+      this.hitPeaks[type] = (this.hitPeaks[type] || 0) * decay;
+      if (threshold === undefined || !isPeak(history, candidate, 0, HISTORY_SIZE - 1, threshold)) continue;
+      
+      // Same height measure as the offline velocities, against a running peak instead of a percentile
+      const height = history[candidate - 1] + history[candidate] + history[candidate + 1];
+      this.hitPeaks[type] = Math.max(this.hitPeaks[type], height);
+      const velocity = Math.round(Math.min(1, height / this.hitPeaks[type]) * 100) / 100;
+      beatVelocity = Math.max(beatVelocity, velocity);
+      
+      const callback = { kicks: this.onKick, snares: this.onSnare, hihats: this.onHihat }[type];
+      if (callback) callback(time, velocity);
+    }
+    
+    if (beatVelocity >= 0 && time - this.lastBeatTime > BEAT_MERGE) {
+      this.lastBeatTime = time;
+      this.recentBeats.push(time);
+      while (this.recentBeats[0] < time - BPM_WINDOW) this.recentBeats.shift();
+      this.bpm = estimateBPM(this.recentBeats, BPM_WINDOW);
+      if (this.onBeat) this.onBeat(time, beatVelocity);
+    }
+  }
+  
+  /**
+   * Scale a level by its running peak (0-1)
+   */
+  normalize(key, value, decay) {
+    const peak = this.peaks[key] || (this.peaks[key] = { value: 0, max: 0 });
+    peak.max = Math.max(peak.max, value);
+    peak.value = Math.max(value, peak.value * decay, peak.max * LEVEL_RANGE);
+    return peak.value > 0 ? value / peak.value : 0;
+  }
+}
+
+/**
+ * Average channels into one
+ */
+function mixChannels(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return mono;
+}
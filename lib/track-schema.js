@@ -0,0 +1,183 @@
+/**
+ * Track Schema - Versioning, validation and migration of track data
+ * 
+ * Track data reaches sketches from three places: analyzer output / track JSON
+ * files, Song Manager exports and IndexedDB song records. Everything that
+ * loads track data passes it through migrateTrack, so the rest of the code
+ * only ever sees the current (canonical) shape:
+ * 
+ *   {
+ *     analysisVersion: TRACK_SCHEMA_VERSION,
+ *     name, duration, bpm,
+ *     beats: { all, kicks, snares, hihats },      // seconds
+ *     frequency: { sampleRate, sub, bass, mid, high },
+ *     energy: [],
+ *     signalTracks: [{ id, name, type, subtype, attack, decay, points, triggers, ... }],
+ *     ...optional analysis fields (beatGrid, sections, chroma, pitch, ...)
+ *   }
+ * 
+ * User-authored signals (automation curves, triggers, band tracks) live only
+ * in signalTracks. Older shapes kept them elsewhere:
+ * - version 1 analyzer output / track JSON: automations { name: { points, curve } }
+ * - Song Manager exports: signals { name: { type, subtype, attack, decay, points, triggers } }
+ */
+
+export const TRACK_SCHEMA_VERSION = 2;
+
+export const SIGNAL_TRACK_TYPES = ['beat', 'frequency', 'spectral', 'automation', 'trigger'];
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each returns a new object and leaves its input untouched.
+ */
+const MIGRATIONS = {
+  // 1 -> 2: automations and exported signals become signalTracks
+  1: (track) => {
+    const { automations, signals, ...rest } = track;
+    const signalTracks = Array.isArray(track.signalTracks) ? track.signalTracks.slice() : [];
+    const names = new Set(signalTracks.map(t => t.name));
+    
+    for (const [name, signal] of Object.entries(signals || {})) {
+      if (names.has(name) || !signal) continue;
+      names.add(name);
+      signalTracks.push({
+        id: `s${signalTracks.length + 1}`,
+        name,
+        type: signal.type,
+        ...(signal.subtype !== undefined && { subtype: signal.subtype }),
+        ...(signal.attack !== undefined && { attack: signal.attack }),
+        ...(signal.decay !== undefined && { decay: signal.decay }),
+        ...(signal.points && { points: signal.points }),
+        ...(signal.triggers && { triggers: signal.triggers })
+      });
+    }
+    
+    for (const [name, automation] of Object.entries(automations || {})) {
+      if (names.has(name) || !automation?.points) continue;
+      names.add(name);
+      signalTracks.push({
+        id: `s${signalTracks.length + 1}`,
+        name,
+        type: 'automation',
+        points: automation.points,
+        curve: automation.curve || 'linear'
+      });
+    }
+    
+    return {
+      ...rest,
+      ...(rest.frequency && { frequency: { sampleRate: 30, ...rest.frequency } }),
+      signalTracks,
+      analysisVersion: 2
+    };
+  }
+};
+
+/**
+ * Version of a track object (missing means version 1)
+ */
+export function getTrackVersion(track) {
+  return Number.isInteger(track?.analysisVersion) ? track.analysisVersion : 1;
+}
+
+/**
+ * Check a track against the current schema
+ * @param {Object} track - Track data
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateTrack(track) {
+  const errors = [];
+  
+  if (!track || typeof track !== 'object' || Array.isArray(track)) {
+    return { valid: false, errors: ['Track data must be an object'] };
+  }
+  
+  if (track.analysisVersion !== TRACK_SCHEMA_VERSION) {
+    errors.push(`analysisVersion must be ${TRACK_SCHEMA_VERSION}, got ${track.analysisVersion}`);
+  }
+  if (!(typeof track.duration === 'number' && track.duration > 0)) {
+    errors.push('duration must be a positive number');
+  }
+  if (track.bpm !== undefined && !(typeof track.bpm === 'number' && track.bpm > 0)) {
+    errors.push('bpm must be a positive number');
+  }
+  
+  if (track.beats !== undefined) {
+    if (!track.beats || typeof track.beats !== 'object') {
+      errors.push('beats must be an object');
+    } else {
+      for (const [type, times] of Object.entries(track.beats)) {
+        if (!isNumberArray(times)) errors.push(`beats.${type} must be an array of times`);
+      }
+    }
+  }
+  
+  if (track.frequency !== undefined) {
+    if (!(track.frequency?.sampleRate > 0)) {
+      errors.push('frequency.sampleRate must be a positive number');
+    }
+    for (const [band, curve] of Object.entries(track.frequency || {})) {
+      if (band !== 'sampleRate' && !isNumberArray(curve)) errors.push(`frequency.${band} must be an array of numbers`);
+    }
+  }
+  
+  if (track.energy !== undefined && !isNumberArray(track.energy)) {
+    errors.push('energy must be an array of numbers');
+  }
+  
+  if (!Array.isArray(track.signalTracks)) {
+    errors.push('signalTracks must be an array');
+  } else {
+    track.signalTracks.forEach((signal, i) => {
+      if (!signal || typeof signal.name !== 'string') {
+        errors.push(`signalTracks[${i}] needs a name`);
+      } else if (!SIGNAL_TRACK_TYPES.includes(signal.type)) {
+        errors.push(`signalTracks[${i}] (${signal.name}) has unknown type ${signal.type}`);
+      } else if (signal.type === 'automation' && !Array.isArray(signal.points)) {
+        errors.push(`signalTracks[${i}] (${signal.name}) needs points`);
+      } else if (signal.type === 'trigger' && !Array.isArray(signal.triggers)) {
+        errors.push(`signalTracks[${i}] (${signal.name}) needs triggers`);
+      }
+    });
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Bring track data of any known version or shape up to the current schema
+ * Current, valid data is returned as-is; older data is copied, never mutated.
+ * @param {Object} track - Track JSON, Song Manager export or IndexedDB record
+ * @returns {Object} Canonical track data
+ * @throws {Error} If the data is newer than this code or still invalid after migrating
+ */
+export function migrateTrack(track) {
+  if (!track || typeof track !== 'object' || Array.isArray(track)) {
+    throw new Error('Invalid track data: expected an object');
+  }
+  
+  let version = getTrackVersion(track);
+  if (version > TRACK_SCHEMA_VERSION) {
+    throw new Error(`Track data version ${version} is newer than supported version ${TRACK_SCHEMA_VERSION}`);
+  }
+  
+  let migrated = track;
+  while (version < TRACK_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from track data version ${version}`);
+    }
+    migrated = migrate(migrated);
+    version = getTrackVersion(migrated);
+  }
+  
+  const { valid, errors } = validateTrack(migrated);
+  if (!valid) {
+    throw new Error(`Invalid track data: ${errors.join('; ')}`);
+  }
+  return migrated;
+}
+
+function isNumberArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'number');
+}
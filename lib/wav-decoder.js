@@ -0,0 +1,106 @@
+/**
+ * WAV Decoder - Pure-JS RIFF/WAVE parser
+ * 
+ * Decodes PCM WAV files (8/16/24/32-bit integer and 32/64-bit float, including
+ * WAVE_FORMAT_EXTENSIBLE) without an AudioContext, so tracks can be analysed
+ * in Node. Returns the same shape the CLI's pluggable decoders return.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode a WAV file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{ sampleRate: number, channels: Float32Array[] }} One array per channel (-1 to 1)
+ */
+export function decodeWav(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+  
+  // Walk the chunks for fmt and data
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+      // Extensible files keep the real format in the first two bytes of the sub-format GUID
+      if (format.audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Streams written before their length was known report 0 or 0xFFFFFFFF
+      dataLength = Math.min(size || Infinity, view.byteLength - body);
+      break;
+    }
+    
+    offset = body + size + (size % 2); // Chunks are word-aligned
+  }
+  
+  if (!format) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+  
+  const { audioFormat, channels: numChannels, sampleRate, bitsPerSample } = format;
+  const readSample = getSampleReader(audioFormat, bitsPerSample);
+  if (!readSample) {
+    throw new Error(`Unsupported WAV encoding: format ${audioFormat}, ${bitsPerSample}-bit`);
+  }
+  if (numChannels < 1) throw new Error('WAV file has no channels');
+  
+  const bytesPerSample = bitsPerSample / 8;
+  const frameSize = bytesPerSample * numChannels;
+  const numFrames = Math.floor(dataLength / frameSize);
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(numFrames));
+  
+  for (let i = 0; i < numFrames; i++) {
+    const frameOffset = dataOffset + i * frameSize;
+    for (let c = 0; c < numChannels; c++) {
+      channels[c][i] = readSample(view, frameOffset + c * bytesPerSample);
+    }
+  }
+  
+  return { sampleRate, channels };
+}
+
+/**
+ * Sample reader for an encoding, scaled to -1..1 (null if unsupported)
+ */
+function getSampleReader(audioFormat, bitsPerSample) {
+  if (audioFormat === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return (view, o) => (view.getUint8(o) - 128) / 128;
+      case 16: return (view, o) => view.getInt16(o, true) / 32768;
+      case 24: return (view, o) => ((view.getUint8(o + 2) << 24 >> 8) | (view.getUint8(o + 1) << 8) | view.getUint8(o)) / 8388608;
+      case 32: return (view, o) => view.getInt32(o, true) / 2147483648;
+    }
+  } else if (audioFormat === FORMAT_FLOAT) {
+    switch (bitsPerSample) {
+      case 32: return (view, o) => view.getFloat32(o, true);
+      case 64: return (view, o) => view.getFloat64(o, true);
+    }
+  }
+  return null;
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
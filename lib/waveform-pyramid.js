@@ -0,0 +1,145 @@
+/**
+ * Waveform Pyramid - Multi-resolution min/max/RMS waveform for zoomable display
+ * 
+ * Level 0 summarises every BASE_BIN_SIZE samples; each level above halves the
+ * resolution, up to a level that fits in MIN_TOP_BINS bins. Every bin is three
+ * bytes (min and max offset by 128, RMS scaled to 0-255) in one Uint8Array per
+ * level, which IndexedDB stores as-is - about 2 bytes per 100 samples in total.
+ * 
+ * Drawing code asks getWaveformColumns for the visible time range and pixel
+ * width and gets one min/max/RMS column per pixel from the coarsest level that
+ * still has at least one bin per pixel.
+ */
+
+const BASE_BIN_SIZE = 256; // Samples per bin at level 0
+const MIN_TOP_BINS = 1024; // Stop halving once a level has this few bins
+const BYTES_PER_BIN = 3;
+
+/**
+ * Build the pyramid from mono samples
+ * @param {Float32Array} channelData - Mono samples
+ * @param {number} sampleRate - Sample rate of channelData
+ * @returns {Object} { sampleRate, length, binSize, levels: Uint8Array[] }
+ */
+export function buildWaveformPyramid(channelData, sampleRate) {
+  const numBins = Math.ceil(channelData.length / BASE_BIN_SIZE);
+  let min = new Float32Array(numBins);
+  let max = new Float32Array(numBins);
+  let power = new Float32Array(numBins); // Mean square
+  
+  for (let bin = 0; bin < numBins; bin++) {
+    const start = bin * BASE_BIN_SIZE;
+    const end = Math.min(start + BASE_BIN_SIZE, channelData.length);
+    let lo = 1, hi = -1, sum = 0;
+    for (let i = start; i < end; i++) {
+      const sample = channelData[i];
+      if (sample < lo) lo = sample;
+      if (sample > hi) hi = sample;
+      sum += sample * sample;
+    }
+    min[bin] = lo;
+    max[bin] = hi;
+    power[bin] = sum / (end - start);
+  }
+  
+  const levels = [encodeLevel(min, max, power)];
+  while (min.length > MIN_TOP_BINS) {
+    const count = Math.ceil(min.length / 2);
+    const nextMin = new Float32Array(count);
+    const nextMax = new Float32Array(count);
+    const nextPower = new Float32Array(count);
+    for (let bin = 0; bin < count; bin++) {
+      const a = bin * 2;
+      const b = Math.min(a + 1, min.length - 1);
+      nextMin[bin] = Math.min(min[a], min[b]);
+      nextMax[bin] = Math.max(max[a], max[b]);
+      nextPower[bin] = (power[a] + power[b]) / 2;
+    }
+    min = nextMin;
+    max = nextMax;
+    power = nextPower;
+    levels.push(encodeLevel(min, max, power));
+  }
+  
+  return {
+    sampleRate,
+    length: channelData.length,
+    binSize: BASE_BIN_SIZE,
+    levels
+  };
+}
+
+/**
+ * Pick the level for a view: the coarsest one with at least one bin per pixel
+ * @param {Object} pyramid - From buildWaveformPyramid
+ * @param {number} startTime - View start (s)
+ * @param {number} endTime - View end (s)
+ * @param {number} pixelWidth - Width of the view in pixels
+ * @returns {number} Level index (0 = finest)
+ */
+export function getWaveformLevel(pyramid, startTime, endTime, pixelWidth) {
+  const samplesPerPixel = (endTime - startTime) * pyramid.sampleRate / Math.max(1, pixelWidth);
+  let level = 0;
+  while (level + 1 < pyramid.levels.length && pyramid.binSize * Math.pow(2, level + 1) <= samplesPerPixel) {
+    level++;
+  }
+  return level;
+}
+
+/**
+ * One min/max/RMS column per pixel for a time range
+ * Zoomed in past level 0, neighbouring pixels share a bin.
+ * @param {Object} pyramid - From buildWaveformPyramid
+ * @param {number} startTime - View start (s)
+ * @param {number} endTime - View end (s)
+ * @param {number} pixelWidth - Number of columns to return
+ * @returns {Object} { level, min, max, rms } - Float32Arrays of pixelWidth values (min/max -1 to 1, rms 0-1)
+ */
+export function getWaveformColumns(pyramid, startTime, endTime, pixelWidth) {
+  const width = Math.max(1, Math.floor(pixelWidth));
+  const level = getWaveformLevel(pyramid, startTime, endTime, width);
+  const bytes = pyramid.levels[level];
+  const numBins = bytes.length / BYTES_PER_BIN;
+  const binDuration = pyramid.binSize * Math.pow(2, level) / pyramid.sampleRate;
+  
+  const min = new Float32Array(width);
+  const max = new Float32Array(width);
+  const rms = new Float32Array(width);
+  const pixelDuration = (endTime - startTime) / width;
+  
+  for (let x = 0; x < width; x++) {
+    const t0 = startTime + x * pixelDuration;
+    if (t0 < 0) continue;
+    const first = Math.floor(t0 / binDuration);
+    if (first >= numBins) break;
+    const last = Math.min(numBins - 1, Math.max(first, Math.ceil((t0 + pixelDuration) / binDuration) - 1));
+    
+    let lo = 255, hi = 0, power = 0;
+    for (let bin = first; bin <= last; bin++) {
+      const offset = bin * BYTES_PER_BIN;
+      if (bytes[offset] < lo) lo = bytes[offset];
+      if (bytes[offset + 1] > hi) hi = bytes[offset + 1];
+      power += bytes[offset + 2] * bytes[offset + 2];
+    }
+    min[x] = (lo - 128) / 127;
+    max[x] = (hi - 128) / 127;
+    rms[x] = Math.sqrt(power / (last - first + 1)) / 255;
+  }
+  
+  return { level, min, max, rms };
+}
+
+/**
+ * Quantise one level to bytes
+ */
+function encodeLevel(min, max, power) {
+  const bytes = new Uint8Array(min.length * BYTES_PER_BIN);
+  const toByte = (v) => Math.max(1, Math.min(255, Math.round(v * 127 + 128)));
+  for (let bin = 0; bin < min.length; bin++) {
+    const offset = bin * BYTES_PER_BIN;
+    bytes[offset] = toByte(min[bin]);
+    bytes[offset + 1] = toByte(max[bin]);
+    bytes[offset + 2] = Math.min(255, Math.round(Math.sqrt(power[bin]) * 255));
+  }
+  return bytes;
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Analyze - Headless track analysis
+ * 
+ * Runs lib/audio-analyzer.js over audio files and writes track JSON that
+ * sketches load with AudioSignals.loadTrack.
+ * 
+ * Usage:
+ *   npm run analyze -- song.wav [more.wav ...] [options]
+ * 
+ * Options:
+ *   --out <dir>              Output directory (default: public/tracks)
+ *   --normalization <mode>   peak | percentile | loudness (default: peak)
+ *   --stereo                 Add per-channel bands plus pan/width (slower)
+ *   --decoder <module>       Decoder for non-WAV files (see below)
+ *   --pretty                 Indent the JSON output
+ * 
+ * PCM WAV is decoded built-in. Other formats need a decoder module whose default
+ * export is `async (bytes, filePath) => ({ sampleRate, channels })`, where
+ * bytes is a Uint8Array of the file and channels holds one Float32Array per channel.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { analyzeChannelData } from '../lib/audio-analyzer.js';
+import { decodeWav } from '../lib/wav-decoder.js';
+import { migrateTrack } from '../lib/track-schema.js';
+
+const USAGE = 'Usage: npm run analyze -- <file...> [--out dir] [--normalization peak|percentile|loudness] [--stereo] [--decoder module] [--pretty]';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: 'public/tracks' },
+      normalization: { type: 'string', default: 'peak' },
+      stereo: { type: 'boolean', default: false },
+      decoder: { type: 'string' },
+      pretty: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  
+  const decoder = values.decoder ? await loadDecoder(values.decoder) : null;
+  const outDir = resolve(values.out);
+  await mkdir(outDir, { recursive: true });
+  
+  const options = {
+    stereo: values.stereo,
+    normalization: values.normalization
+  };
+  
+  let failures = 0;
+  for (const file of positionals) {
+    try {
+      const outPath = await analyzeFile(file, outDir, options, decoder, values.pretty);
+      console.log(`${file} -> ${outPath}`);
+    } catch (error) {
+      failures++;
+      console.error(`${file}: ${error.message}`);
+    }
+  }
+  
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Decode, analyse and write one file
+ * @returns {Promise<string>} Path of the written track JSON
+ */
+async function analyzeFile(file, outDir, options, decoder, pretty) {
+  const bytes = new Uint8Array(await readFile(file));
+  const extension = extname(file).toLowerCase();
+  
+  let decoded;
+  if (extension === '.wav' || extension === '.wave') {
+    decoded = decodeWav(bytes);
+  } else if (decoder) {
+    decoded = await decoder(bytes, resolve(file));
+  } else {
+    throw new Error(`No decoder for ${extension || 'this file'} - pass --decoder <module>`);
+  }
+  
+  const { sampleRate, channels } = decoded;
+  if (!(sampleRate > 0) || !channels?.length || !channels[0].length) {
+    throw new Error('Decoder returned no audio');
+  }
+  
+  // Same channel handling as analyzeAudio: first two channels for stereo, otherwise a mono mix
+  const channelData = options.stereo && channels.length > 1
+    ? [channels[0], channels[1]]
+    : mixDown(channels);
+  
+  const name = basename(file, extname(file));
+  const analysis = analyzeChannelData(channelData, sampleRate, reportProgress(name), options);
+  analysis.name = name;
+  clearProgress();
+  
+  const track = migrateTrack(analysis);
+  const outPath = resolve(outDir, `${slugify(name)}.json`);
+  await writeFile(outPath, JSON.stringify(track, null, pretty ? 2 : 0) + '\n');
+  return outPath;
+}
+
+/**
+ * Import a decoder module and return its default export
+ */
+async function loadDecoder(modulePath) {
+  const module = await import(pathToFileURL(resolve(modulePath)).href);
+  const decoder = module.default;
+  if (typeof decoder !== 'function') {
+    throw new Error(`Decoder ${modulePath} must export a default function`);
+  }
+  return decoder;
+}
+
+/**
+ * Average all channels into one
+ */
+function mixDown(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * File name to a URL-friendly track name ("My Song (Edit).wav" -> "my-song-edit")
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'track';
+}
+
+/**
+ * Progress line on interactive terminals
+ */
+function reportProgress(name) {
+  if (!process.stderr.isTTY) return null;
+  return (progress) => {
+    process.stderr.write(`\r${name}: ${Math.round(progress * 100)}%`);
+  };
+}
+
+function clearProgress() {
+  if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});